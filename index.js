@@ -1,6 +1,36 @@
 import { RealtimeUtils } from './lib/utils.js';
+import { RealtimeLogger } from './lib/logger.js';
+import { RealtimeAbortError, RealtimeTimeoutError } from './lib/errors.js';
+import { RealtimeTransport } from './lib/transport.js';
 import { RealtimeAPI } from './lib/api.js';
+import { RealtimeWebRTC } from './lib/webrtc.js';
+import { RealtimeAudioBuffer } from './lib/audio_buffer.js';
 import { RealtimeConversation } from './lib/conversation.js';
+import { RealtimeUsage } from './lib/usage.js';
+import { RealtimeTranscript } from './lib/transcript.js';
 import { RealtimeClient } from './lib/client.js';
+import { RealtimeMockServer } from './lib/mock_server.js';
+import { RealtimeRecorder } from './lib/recorder.js';
+import { RealtimeReplayTransport } from './lib/replay.js';
+import { RealtimeRelay } from './lib/relay.js';
+import { RealtimeSessions } from './lib/sessions.js';
 
-export { RealtimeAPI, RealtimeConversation, RealtimeClient, RealtimeUtils };
+export {
+  RealtimeTransport,
+  RealtimeAPI,
+  RealtimeWebRTC,
+  RealtimeConversation,
+  RealtimeAudioBuffer,
+  RealtimeUsage,
+  RealtimeTranscript,
+  RealtimeClient,
+  RealtimeUtils,
+  RealtimeLogger,
+  RealtimeAbortError,
+  RealtimeTimeoutError,
+  RealtimeMockServer,
+  RealtimeRecorder,
+  RealtimeReplayTransport,
+  RealtimeRelay,
+  RealtimeSessions,
+};
@@ -1,18 +1,70 @@
-import { RealtimeEventHandler } from './event_handler.js';
+import { RealtimeTransport } from './transport.js';
 import { RealtimeUtils } from './utils.js';
+import { RealtimeLogger } from './logger.js';
 
-export class RealtimeAPI extends RealtimeEventHandler {
+/**
+ * Azure OpenAI connection settings
+ * Authenticates with `apiKey` from the RealtimeAPI settings, or with Entra ID tokens from `tokenProvider`
+ * @typedef {Object} AzureSettingsType
+ * @property {string} endpoint e.g. "https://my-resource.openai.azure.com"
+ * @property {string} deployment
+ * @property {string} [apiVersion]
+ * @property {() => Promise<string>|string} [tokenProvider]
+ */
+
+export class RealtimeAPI extends RealtimeTransport {
   /**
    * Create a new RealtimeAPI instance
-   * @param {{url?: string, apiKey?: string, dangerouslyAllowAPIKeyInBrowser?: boolean, debug?: boolean}} [settings]
+   * `headers` and `agent` are only used in Node.js, where they are passed to the `ws` constructor
+   * `heartbeat` is only used in Node.js, browsers handle WebSocket keep-alive themselves
+   * `azure` connects to an Azure OpenAI deployment instead of `url`
+   * `logger` receives sanitized logs, `debug` logs to the console when no `logger` is provided
+   * @param {{url?: string, apiKey?: string, dangerouslyAllowAPIKeyInBrowser?: boolean, debug?: boolean, logger?: RealtimeLogger|import('./logger.js').LoggerTargetType, headers?: {[key: string]: string}, agent?: any, heartbeat?: boolean|{interval?: number, timeout?: number}, azure?: AzureSettingsType}} [settings]
    * @returns {RealtimeAPI}
    */
-  constructor({ url, apiKey, dangerouslyAllowAPIKeyInBrowser, debug } = {}) {
+  constructor({
+    url,
+    apiKey,
+    dangerouslyAllowAPIKeyInBrowser,
+    debug,
+    logger,
+    headers,
+    agent,
+    heartbeat,
+    azure,
+  } = {}) {
     super();
     this.defaultUrl = 'wss://api.openai.com/v1/realtime';
-    this.url = url || this.defaultUrl;
+    this.defaultAzureApiVersion = '2024-10-01-preview';
+    this.azure = null;
+    if (azure) {
+      if (!azure.endpoint) {
+        throw new Error(`Missing "endpoint" in azure settings`);
+      }
+      if (!azure.deployment) {
+        throw new Error(`Missing "deployment" in azure settings`);
+      }
+      this.azure = { apiVersion: this.defaultAzureApiVersion, ...azure };
+    }
+    this.url = url || (this.azure ? this.azure.endpoint : this.defaultUrl);
     this.apiKey = apiKey || null;
     this.debug = !!debug;
+    this.logger = RealtimeLogger.from(logger, { name: 'Websocket', debug });
+    this.headers = headers || {};
+    this.agent = agent || null;
+    this.defaultHeartbeatConfig = {
+      interval: 30_000, // How often to send a ping, in ms
+      timeout: 10_000, // How long to wait for a pong before closing, in ms
+    };
+    // Heartbeat is disabled unless `heartbeat` is provided
+    this.heartbeatConfig = heartbeat
+      ? {
+          ...this.defaultHeartbeatConfig,
+          ...(heartbeat === true ? {} : heartbeat),
+        }
+      : null;
+    this.heartbeatInterval = null;
+    this.heartbeatTimeout = null;
     this.ws = null;
     if (globalThis.document && this.apiKey) {
       if (!dangerouslyAllowAPIKeyInBrowser) {
@@ -32,38 +84,100 @@ export class RealtimeAPI extends RealtimeEventHandler {
   }
 
   /**
-   * Writes WebSocket logs to console
-   * @param  {...any} args
+   * Writes WebSocket logs to the logger, at debug level
+   * @param {string} message
+   * @param {{[key: string]: any}} [fields]
    * @returns {true}
    */
-  log(...args) {
-    const date = new Date().toISOString();
-    const logs = [`[Websocket/${date}]`].concat(args).map((arg) => {
-      if (typeof arg === 'object' && arg !== null) {
-        return JSON.stringify(arg, null, 2);
+  log(message, fields) {
+    return this.logger.debug(message, fields);
+  }
+
+  /**
+   * Builds the url, subprotocols (browser) and headers (Node.js) to connect with
+   * @private
+   * @param {string} [model]
+   * @param {boolean} isBrowser
+   * @returns {Promise<{url: string, protocols: string[], headers: {[key: string]: string}}>}
+   */
+  async _getConnectionSettings(model, isBrowser) {
+    if (!this.azure) {
+      return {
+        url: `${this.url}${model ? `?model=${model}` : ''}`,
+        protocols: [
+          'realtime',
+          `openai-insecure-api-key.${this.apiKey}`,
+          'openai-beta.realtime-v1',
+        ],
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+          'OpenAI-Beta': 'realtime=v1',
+        },
+      };
+    }
+    // Azure uses deployment-based urls and can not authenticate via subprotocols,
+    // browsers pass credentials as query parameters instead of headers
+    const { endpoint, deployment, apiVersion, tokenProvider } = this.azure;
+    const url = new URL('/openai/realtime', endpoint.replace(/^http/, 'ws'));
+    url.searchParams.set('api-version', apiVersion);
+    url.searchParams.set('deployment', deployment);
+    const headers = { 'OpenAI-Beta': 'realtime=v1' };
+    if (tokenProvider) {
+      const token = await tokenProvider();
+      if (isBrowser) {
+        url.searchParams.set('Authorization', `Bearer ${token}`);
       } else {
-        return arg;
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+    } else if (this.apiKey) {
+      if (isBrowser) {
+        url.searchParams.set('api-key', this.apiKey);
+      } else {
+        headers['api-key'] = this.apiKey;
       }
-    });
-    if (this.debug) {
-      console.log(...logs);
     }
-    return true;
+    return { url: url.toString(), protocols: [], headers };
   }
 
   /**
    * Connects to Realtime API Websocket Server
-   * @param {{model?: string}} [settings]
+   * Rejects with a RealtimeTimeoutError or RealtimeAbortError, closing the socket, when `timeout` elapses or `signal` aborts
+   * @param {{model?: string, timeout?: number|null, signal?: AbortSignal|null}} [settings]
    * @returns {Promise<true>}
    */
-  async connect({ model } = { model: 'gpt-4o-realtime-preview-2024-10-01' }) {
+  async connect({
+    model = 'gpt-4o-realtime-preview-2024-10-01',
+    timeout = null,
+    signal = null,
+  } = {}) {
     if (!this.apiKey && this.url === this.defaultUrl) {
       console.warn(`No apiKey provided for connection to "${this.url}"`);
     }
+    if (this.azure && !this.apiKey && !this.azure.tokenProvider) {
+      console.warn(
+        `No apiKey or tokenProvider provided for connection to "${this.url}"`,
+      );
+    }
     if (this.isConnected()) {
       throw new Error(`Already connected`);
     }
-    if (globalThis.WebSocket) {
+    const isBrowser = !!globalThis.WebSocket;
+    const abort = RealtimeUtils.createAbortSignal(
+      { signal, timeout },
+      'connect()',
+    );
+    let settings;
+    try {
+      settings = await this._getConnectionSettings(model, isBrowser);
+      if (abort.signal.aborted) {
+        throw abort.signal.reason;
+      }
+    } catch (e) {
+      abort.clear();
+      throw e;
+    }
+    const { url, protocols, headers } = settings;
+    if (isBrowser) {
       /**
        * Web browser
        */
@@ -73,33 +187,43 @@ export class RealtimeAPI extends RealtimeEventHandler {
         );
       }
       const WebSocket = globalThis.WebSocket;
-      const ws = new WebSocket(`${this.url}${model ? `?model=${model}` : ''}`, [
-        'realtime',
-        `openai-insecure-api-key.${this.apiKey}`,
-        'openai-beta.realtime-v1',
-      ]);
+      const ws = new WebSocket(url, protocols);
       ws.addEventListener('message', (event) => {
+        // Ignore anything still arriving from a socket we disconnected from
+        if (this.ws !== ws) {
+          return;
+        }
         const message = JSON.parse(event.data);
-        this.receive(message.type, message);
+        this._applyMiddleware('incoming', message, (e) =>
+          this.receive(e.type, e),
+        );
       });
       return new Promise((resolve, reject) => {
         const connectionErrorHandler = () => {
+          abort.clear();
           this.disconnect(ws);
           reject(new Error(`Could not connect to "${this.url}"`));
         };
+        abort.signal.addEventListener('abort', () => {
+          ws.close();
+          reject(abort.signal.reason);
+        });
         ws.addEventListener('error', connectionErrorHandler);
         ws.addEventListener('open', () => {
+          abort.clear();
           this.log(`Connected to "${this.url}"`);
           ws.removeEventListener('error', connectionErrorHandler);
           ws.addEventListener('error', () => {
             this.disconnect(ws);
-            this.log(`Error, disconnected from "${this.url}"`);
+            this.logger.warn(`Error, disconnected from "${this.url}"`);
             this.dispatch('close', { error: true });
           });
-          ws.addEventListener('close', () => {
+          ws.addEventListener('close', (event) => {
+            // Abnormal closures we did not initiate (e.g. network drops) are errors
+            const error = this.ws === ws && event.code !== 1000;
             this.disconnect(ws);
             this.log(`Disconnected from "${this.url}"`);
-            this.dispatch('close', { error: false });
+            this.dispatch('close', { error });
           });
           this.ws = ws;
           resolve(true);
@@ -112,48 +236,101 @@ export class RealtimeAPI extends RealtimeEventHandler {
       const moduleName = 'ws';
       const wsModule = await import(/* webpackIgnore: true */ moduleName);
       const WebSocket = wsModule.default;
-      const ws = new WebSocket(
-        'wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01',
-        [],
-        {
-          finishRequest: (request) => {
-            // Auth
-            request.setHeader('Authorization', `Bearer ${this.apiKey}`);
-            request.setHeader('OpenAI-Beta', 'realtime=v1');
-            request.end();
-          },
+      const wsOptions = {
+        headers: {
+          ...headers,
+          ...this.headers,
         },
-      );
+      };
+      if (this.agent) {
+        wsOptions.agent = this.agent;
+      }
+      const ws = new WebSocket(url, [], wsOptions);
       ws.on('message', (data) => {
+        // Ignore anything still arriving from a socket we disconnected from
+        if (this.ws !== ws) {
+          return;
+        }
         const message = JSON.parse(data.toString());
-        this.receive(message.type, message);
+        this._applyMiddleware('incoming', message, (e) =>
+          this.receive(e.type, e),
+        );
       });
       return new Promise((resolve, reject) => {
         const connectionErrorHandler = () => {
+          abort.clear();
           this.disconnect(ws);
           reject(new Error(`Could not connect to "${this.url}"`));
         };
+        abort.signal.addEventListener('abort', () => {
+          ws.terminate();
+          reject(abort.signal.reason);
+        });
         ws.on('error', connectionErrorHandler);
         ws.on('open', () => {
+          abort.clear();
           this.log(`Connected to "${this.url}"`);
           ws.removeListener('error', connectionErrorHandler);
           ws.on('error', () => {
             this.disconnect(ws);
-            this.log(`Error, disconnected from "${this.url}"`);
+            this.logger.warn(`Error, disconnected from "${this.url}"`);
             this.dispatch('close', { error: true });
           });
-          ws.on('close', () => {
+          ws.on('close', (code) => {
+            // Abnormal closures we did not initiate (e.g. network drops) are errors
+            const error = this.ws === ws && code !== 1000;
             this.disconnect(ws);
             this.log(`Disconnected from "${this.url}"`);
-            this.dispatch('close', { error: false });
+            this.dispatch('close', { error });
           });
           this.ws = ws;
+          if (this.heartbeatConfig) {
+            this._startHeartbeat(ws);
+          }
           resolve(true);
         });
       });
     }
   }
 
+  /**
+   * Sends pings on an interval and terminates the connection if no pong arrives in time
+   * Termination closes the socket abnormally, which is dispatched as an error close
+   * @private
+   * @param {any} ws Node.js `ws` WebSocket
+   * @returns {true}
+   */
+  _startHeartbeat(ws) {
+    const { interval, timeout } = this.heartbeatConfig;
+    ws.on('pong', () => {
+      clearTimeout(this.heartbeatTimeout);
+      this.heartbeatTimeout = null;
+    });
+    this.heartbeatInterval = setInterval(() => {
+      ws.ping();
+      if (!this.heartbeatTimeout) {
+        this.heartbeatTimeout = setTimeout(() => {
+          this.logger.warn(`Heartbeat timed out for "${this.url}"`);
+          ws.terminate();
+        }, timeout);
+      }
+    }, interval);
+    return true;
+  }
+
+  /**
+   * Stops sending pings
+   * @private
+   * @returns {true}
+   */
+  _stopHeartbeat() {
+    clearInterval(this.heartbeatInterval);
+    clearTimeout(this.heartbeatTimeout);
+    this.heartbeatInterval = null;
+    this.heartbeatTimeout = null;
+    return true;
+  }
+
   /**
    * Disconnects from Realtime API server
    * @param {WebSocket} [ws]
@@ -161,6 +338,7 @@ export class RealtimeAPI extends RealtimeEventHandler {
    */
   disconnect(ws) {
     if (!ws || this.ws === ws) {
+      this._stopHeartbeat();
       this.ws && this.ws.close();
       this.ws = null;
       return true;
@@ -174,14 +352,14 @@ export class RealtimeAPI extends RealtimeEventHandler {
    * @returns {true}
    */
   receive(eventName, event) {
-    this.log(`received:`, eventName, event);
+    this.logger.event('received', event);
     this.dispatch(`server.${eventName}`, event);
-    this.dispatch('server.*', event);
     return true;
   }
 
   /**
    * Sends an event to WebSocket and dispatches as "client.{eventName}" and "client.*" events
+   * The event passes through middleware first, see .use()
    * @param {string} eventName
    * @param {{[key: string]: any}} event
    * @returns {true}
@@ -199,10 +377,15 @@ export class RealtimeAPI extends RealtimeEventHandler {
       type: eventName,
       ...data,
     };
-    this.dispatch(`client.${eventName}`, event);
-    this.dispatch('client.*', event);
-    this.log(`sent:`, eventName, event);
-    this.ws.send(JSON.stringify(event));
+    this._applyMiddleware('outgoing', event, (e) => {
+      if (!this.isConnected()) {
+        this.logger.warn(`Disconnected, dropped event "${e.type}"`);
+        return;
+      }
+      this.dispatch(`client.${e.type}`, e);
+      this.logger.event('sent', e);
+      this.ws.send(JSON.stringify(e));
+    });
     return true;
   }
 }
@@ -0,0 +1,152 @@
+import { RealtimeUtils } from './utils.js';
+
+/**
+ * Growable PCM16 audio storage
+ * Appending stores chunks without copying what is already stored, they are only
+ * concatenated when the full audio is read, and slices copy just the samples they need
+ * The concatenated audio is kept until the next write, so repeated reads are free
+ * @class
+ */
+export class RealtimeAudioBuffer {
+  /**
+   * Create a new RealtimeAudioBuffer instance
+   * @param {Int16Array|ArrayBuffer} [audio]
+   * @returns {RealtimeAudioBuffer}
+   */
+  constructor(audio) {
+    this.clear();
+    if (audio) {
+      this.append(audio);
+    }
+  }
+
+  /**
+   * Number of samples stored
+   * @returns {number}
+   */
+  get length() {
+    return this._length;
+  }
+
+  /**
+   * Number of bytes stored, like Int16Array#byteLength
+   * @returns {number}
+   */
+  get byteLength() {
+    return this._length * 2;
+  }
+
+  /**
+   * Removes all audio
+   * @returns {true}
+   */
+  clear() {
+    /** @type {Int16Array[]} */
+    this.chunks = [];
+    this._length = 0;
+    /** @type {Int16Array|null} */
+    this._merged = null;
+    // Samples removed with .dropStart(), indices stay relative to what is stored
+    this.offset = 0;
+    return true;
+  }
+
+  /**
+   * Removes samples from the start, e.g. to cap memory use
+   * Adds them to `offset`, so callers can map positions in the original audio
+   * @param {number} count
+   * @returns {number} The number of samples removed
+   */
+  dropStart(count) {
+    count = Math.min(Math.max(count, 0), this._length);
+    let remaining = count;
+    while (remaining > 0) {
+      const chunk = this.chunks[0];
+      if (chunk.length <= remaining) {
+        this.chunks.shift();
+        remaining -= chunk.length;
+      } else {
+        this.chunks[0] = chunk.slice(remaining);
+        remaining = 0;
+      }
+    }
+    if (count) {
+      this._merged = null;
+    }
+    this._length -= count;
+    this.offset += count;
+    return count;
+  }
+
+  /**
+   * Appends a copy of audio, Float32Arrays are converted to PCM16
+   * @param {Int16Array|Float32Array|ArrayBuffer} audio
+   * @returns {true}
+   */
+  append(audio) {
+    let chunk;
+    if (audio instanceof Float32Array) {
+      chunk = new Int16Array(RealtimeUtils.floatTo16BitPCM(audio));
+    } else if (audio instanceof ArrayBuffer) {
+      chunk = new Int16Array(audio.slice(0));
+    } else if (audio instanceof Int16Array) {
+      chunk = audio.slice();
+    } else {
+      throw new Error(
+        `Audio must be an Int16Array, Float32Array or ArrayBuffer`,
+      );
+    }
+    if (chunk.length) {
+      this.chunks.push(chunk);
+      this._length += chunk.length;
+      this._merged = null;
+    }
+    return true;
+  }
+
+  /**
+   * Gets all audio as a single Int16Array
+   * Chunks are merged on the first read after a write, later reads return the same array
+   * It is the buffer's own storage, so treat it as read-only: use .slice() for a copy
+   * @returns {Int16Array}
+   */
+  toInt16Array() {
+    if (!this._merged) {
+      this._merged =
+        this.chunks.length === 1 ? this.chunks[0] : this.slice(0, this._length);
+      this.chunks = this._length ? [this._merged] : [];
+    }
+    return this._merged;
+  }
+
+  /**
+   * Copies a range of samples, with the same semantics as Int16Array#slice()
+   * Only the chunks in the range are read
+   * @param {number} [start]
+   * @param {number} [end]
+   * @returns {Int16Array}
+   */
+  slice(start = 0, end = this._length) {
+    const clamp = (index) =>
+      index < 0
+        ? Math.max(this._length + index, 0)
+        : Math.min(index, this._length);
+    start = clamp(start);
+    end = clamp(end);
+    const result = new Int16Array(Math.max(end - start, 0));
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      if (offset >= end) {
+        break;
+      }
+      const chunkEnd = offset + chunk.length;
+      if (chunkEnd > start) {
+        const from = Math.max(start - offset, 0);
+        const to = Math.min(end - offset, chunk.length);
+        result.set(chunk.subarray(from, to), offset + from - start);
+      }
+      offset = chunkEnd;
+    }
+    return result;
+  }
+}
@@ -1,6 +1,10 @@
 import { RealtimeEventHandler } from './event_handler.js';
 import { RealtimeAPI } from './api.js';
+import { RealtimeWebRTC } from './webrtc.js';
+import { RealtimeTransport } from './transport.js';
 import { RealtimeConversation } from './conversation.js';
+import { RealtimeUsage } from './usage.js';
+import { RealtimeAudioBuffer } from './audio_buffer.js';
 import { RealtimeUtils } from './utils.js';
 
 /**
@@ -132,6 +136,9 @@ import { RealtimeUtils } from './utils.js';
 /**
  * @typedef {Object} FormattedPropertyType
  * @property {Int16Array} [audio]
+ * @property {RealtimeAudioBuffer} [audioBuffer] Storage for `audio`, e.g. to slice it without reading all of it
+ * @property {number} [audio_start_ms] Where user speech started in the input audio buffer, in VAD mode
+ * @property {number} [audio_end_ms]
  * @property {string} [text]
  * @property {string} [transcript]
  * @property {FormattedToolType} [tool]
@@ -182,6 +189,43 @@ import { RealtimeUtils } from './utils.js';
  * @property {UsageType|null} usage
  */
 
+/**
+ * Automatic reconnection settings, delays are in milliseconds
+ * @typedef {Object} ReconnectConfigType
+ * @property {number} [maxAttempts]
+ * @property {number} [initialDelay]
+ * @property {number} [maxDelay]
+ * @property {number} [backoffFactor]
+ * @property {number} [jitter] Fraction of each delay (0.0 to 1.0) that is randomized
+ * @property {boolean} [replayConversation] Re-creates conversation items in the new session
+ */
+
+/**
+ * Latest state of a rate limit from "rate_limits.updated"
+ * @typedef {Object} RateLimitType
+ * @property {"requests"|"tokens"|string} name
+ * @property {number} limit
+ * @property {number} remaining
+ * @property {number} reset_seconds
+ * @property {number} reset_at Timestamp in milliseconds, estimated from `reset_seconds` when the update was received
+ */
+
+/**
+ * Client-side throttling settings, delays are in milliseconds
+ * @typedef {Object} ThrottleConfigType
+ * @property {number} [minRemainingTokens] Delay responses while fewer tokens remain
+ * @property {number} [minRemainingRequests] Delay responses while fewer requests remain
+ * @property {number} [maxDelay]
+ */
+
+/**
+ * Memory retention settings, all limits are disabled when null
+ * @typedef {Object} RetentionConfigType
+ * @property {number|null} [maxInputAudioSeconds] Input audio kept for VAD speech items, keep it longer than the longest utterance
+ * @property {number|null} [maxAudioTurns] Drops the audio of items before the last N user messages
+ * @property {number|null} [maxItems] Removes the oldest items beyond N
+ */
+
 /**
  * RealtimeClient Class
  * @class
@@ -189,9 +233,11 @@ import { RealtimeUtils } from './utils.js';
 export class RealtimeClient extends RealtimeEventHandler {
   /**
    * Create a new RealtimeClient instance
-   * @param {{url?: string, apiKey?: string, dangerouslyAllowAPIKeyInBrowser?: boolean, debug?: boolean}} [settings]
+   * `transport` can be "websocket", "webrtc", a RealtimeTransport instance
+   * or a factory function that receives the connection settings and returns one
+   * @param {{url?: string, apiKey?: string, dangerouslyAllowAPIKeyInBrowser?: boolean, debug?: boolean, logger?: import('./logger.js').RealtimeLogger|import('./logger.js').LoggerTargetType, transport?: "websocket"|"webrtc"|RealtimeTransport|((settings: {url?: string, apiKey?: string, dangerouslyAllowAPIKeyInBrowser?: boolean, debug?: boolean, logger?: any}) => RealtimeTransport), ephemeralKey?: string, fetchEphemeralKeyUrl?: string, reconnect?: boolean|ReconnectConfigType, heartbeat?: boolean|{interval?: number, timeout?: number}, azure?: import('./api.js').AzureSettingsType, prices?: {[model: string]: import('./usage.js').ModelPricesType}, throttle?: boolean|ThrottleConfigType, retention?: RetentionConfigType}} [settings]
    */
-  constructor({ url, apiKey, dangerouslyAllowAPIKeyInBrowser, debug, transport = 'websocket', ephemeralKey, fetchEphemeralKeyUrl } = {}) {
+  constructor({ url, apiKey, dangerouslyAllowAPIKeyInBrowser, debug, logger, transport = 'websocket', ephemeralKey, fetchEphemeralKeyUrl, reconnect, heartbeat, azure, prices, throttle, retention } = {}) {
     super();
     
     // Validate key usage in browser environments
@@ -231,23 +277,90 @@ export class RealtimeClient extends RealtimeEventHandler {
       prefix_padding_ms: 300, // How much audio to include in the audio stream before the speech starts.
       silence_duration_ms: 200, // How long to wait to mark the speech as stopped.
     };
+    this.defaultReconnectConfig = {
+      maxAttempts: 5,
+      initialDelay: 500,
+      maxDelay: 10_000,
+      backoffFactor: 2,
+      jitter: 0.5,
+      replayConversation: false,
+    };
+    // Reconnection is disabled unless `reconnect` is provided
+    this.reconnectConfig = reconnect
+      ? {
+          ...this.defaultReconnectConfig,
+          ...(reconnect === true ? {} : reconnect),
+        }
+      : null;
+    this.reconnecting = false;
+    this.reconnectTimeout = null;
+    this.defaultThrottleConfig = {
+      minRemainingTokens: 1_000,
+      minRemainingRequests: 1,
+      maxDelay: 60_000,
+    };
+    // Throttling is disabled unless `throttle` is provided
+    this.throttleConfig = throttle
+      ? {
+          ...this.defaultThrottleConfig,
+          ...(throttle === true ? {} : throttle),
+        }
+      : null;
+    this.throttleTimeout = null;
+    this.pendingEventsTimeout = null;
+    // Fraction of a rate limit remaining that dispatches "rate_limits.warning"
+    this.rateLimitWarningThreshold = 0.1;
+    this.defaultRetentionConfig = {
+      maxInputAudioSeconds: null,
+      maxAudioTurns: null,
+      maxItems: null,
+    };
+    // Everything is kept unless `retention` is provided
+    this.retentionConfig = {
+      ...this.defaultRetentionConfig,
+      ...(retention || {}),
+    };
     
     // Store the transport type for potential reconnection needs
-    this.transport = transport;
+    this.transport = typeof transport === 'string' ? transport : 'custom';
 
-    if (transport === 'webrtc') {
+    if (transport instanceof RealtimeTransport) {
+      this.realtime = transport;
+    } else if (typeof transport === 'function') {
+      this.realtime = transport({
+        url,
+        apiKey,
+        dangerouslyAllowAPIKeyInBrowser,
+        debug,
+        logger,
+      });
+      if (!(this.realtime instanceof RealtimeTransport)) {
+        throw new Error(
+          'Transport factory must return an instance of RealtimeTransport',
+        );
+      }
+    } else if (transport === 'webrtc') {
       if (!globalThis.document) {
         throw new Error('WebRTC transport is only supported in browser environments');
       }
-      this.realtime = new RealtimeWebRTC({ debug });
-    } else {
+      this.realtime = new RealtimeWebRTC({ debug, logger });
+    } else if (transport === 'websocket') {
       this.realtime = new RealtimeAPI({
         url,
         apiKey,
         dangerouslyAllowAPIKeyInBrowser,
         debug,
+        logger,
+        heartbeat,
+        azure,
       });
+    } else {
+      throw new Error(
+        `Invalid transport: must be "websocket", "webrtc", a RealtimeTransport or a factory function`,
+      );
+    }
     this.conversation = new RealtimeConversation();
+    this.usage = new RealtimeUsage({ prices });
     this._resetConfig();
     this._addAPIEventHandlers();
   }
@@ -261,7 +374,9 @@ export class RealtimeClient extends RealtimeEventHandler {
     this.sessionCreated = false;
     this.tools = {};
     this.sessionConfig = JSON.parse(JSON.stringify(this.defaultSessionConfig));
-    this.inputAudioBuffer = new Int16Array(0);
+    this.inputAudioBuffer = new RealtimeAudioBuffer();
+    /** @type {{[name: string]: RateLimitType}} */
+    this.rateLimits = {};
     return true;
   }
 
@@ -289,27 +404,79 @@ export class RealtimeClient extends RealtimeEventHandler {
       this.dispatch('realtime.event', realtimeEvent);
     });
 
-    // Handles session created event, can optionally wait for it
-    this.realtime.on(
-      'server.session.created',
-      () => (this.sessionCreated = true),
+    // Surfaces errors thrown by handlers of the underlying transport, including our own
+    this.realtime.on('handler.error', (event) =>
+      this.dispatch('handler.error', event),
+    );
+    this.realtime.on('middleware.error', (event) =>
+      this.dispatch('middleware.error', event),
     );
 
+    // Handles session created event, can optionally wait for it
+    this.realtime.on('server.session.created', (event) => {
+      this.sessionCreated = true;
+      this.usage.model = event.session?.model || this.usage.model;
+    });
+
+    // Tracks rate limits, warns once when one runs low
+    this.realtime.on('server.rate_limits.updated', (event) => {
+      const updatedAt = Date.now();
+      for (const rateLimit of event.rate_limits || []) {
+        const previous = this.rateLimits[rateLimit.name];
+        const current = {
+          ...rateLimit,
+          reset_at: updatedAt + rateLimit.reset_seconds * 1000,
+        };
+        this.rateLimits[rateLimit.name] = current;
+        const wasLow = previous && this._isRateLimitLow(previous);
+        if (this._isRateLimitLow(current) && !wasLow) {
+          this.dispatch('rate_limits.warning', { rateLimit: current });
+        }
+      }
+      this.dispatch('rate_limits.updated', { rateLimits: this.rateLimits });
+    });
+
+    // Reconnects automatically on unexpected disconnects, if enabled
+    // Otherwise, the session is over and we dispatch "close"
+    this.realtime.on('close', ({ error }) => {
+      this.sessionCreated = false;
+      if (error && this.reconnectConfig && !this.reconnecting) {
+        this.reconnecting = true;
+        this._scheduleReconnect(1);
+      } else if (!this.reconnecting) {
+        this.dispatch('close', { error });
+      }
+    });
+
     // Setup for application control flow
     const handler = (event, ...args) => {
       const { item, delta } = this.conversation.processEvent(event, ...args);
+      if (!this.pendingEventsTimeout) {
+        this._expirePendingEvents();
+      }
       return { item, delta };
     };
     const handlerWithDispatch = (event, ...args) => {
       const { item, delta } = handler(event, ...args);
       if (item) {
-        // FIXME: If statement is only here because item.input_audio_transcription.completed
-        //        can fire before `item.created`, resulting in empty item.
-        //        This happens in VAD mode with empty audio
+        // No item when the event was held back until its item is created,
+        // e.g. transcripts can arrive before "conversation.item.created" in VAD mode
         this.dispatch('conversation.updated', { item, delta });
       }
       return { item, delta };
     };
+    // Handlers by server event type, so held back events can be replayed through them
+    const serverEventHandlers = {};
+    const onServerEvent = (eventName, callback) => {
+      serverEventHandlers[eventName] = callback;
+      this.realtime.on(`server.${eventName}`, callback);
+    };
+    const applyPendingEvents = (id) => {
+      for (const event of this.conversation.takePendingEvents(id)) {
+        serverEventHandlers[event.type](event);
+      }
+      this._expirePendingEvents();
+    };
     const callTool = async (tool) => {
       try {
         const jsonArguments = JSON.parse(tool.arguments);
@@ -338,43 +505,104 @@ export class RealtimeClient extends RealtimeEventHandler {
     };
 
     // Handlers to update internal conversation state
-    this.realtime.on('server.response.created', handler);
-    this.realtime.on('server.response.output_item.added', handler);
-    this.realtime.on('server.response.content_part.added', handler);
-    this.realtime.on('server.input_audio_buffer.speech_started', (event) => {
+    onServerEvent('response.created', (event) => {
+      handler(event);
+      applyPendingEvents(event.response.id);
+    });
+    onServerEvent('response.done', (event) => {
+      handler(event);
+      const { response } = event;
+      if (response.usage) {
+        const { usage, cost } = this.usage.record(response);
+        this.dispatch('usage.updated', {
+          response: this.conversation.responseLookup[response.id],
+          usage,
+          cost,
+          total: { usage: this.usage.usage, cost: this.usage.cost },
+        });
+      }
+    });
+    onServerEvent('response.output_item.added', handler);
+    onServerEvent('response.content_part.added', handler);
+    onServerEvent('input_audio_buffer.speech_started', (event) => {
       handler(event);
       this.dispatch('conversation.interrupted');
     });
-    this.realtime.on('server.input_audio_buffer.speech_stopped', (event) =>
+    onServerEvent('input_audio_buffer.speech_stopped', (event) =>
       handler(event, this.inputAudioBuffer),
     );
+    onServerEvent('input_audio_buffer.committed', handler);
+    onServerEvent('input_audio_buffer.cleared', (event) => {
+      handler(event);
+      // Dropping keeps later speech positions aligned with the server's
+      this.inputAudioBuffer.dropStart(this.inputAudioBuffer.length);
+    });
 
     // Handlers to update application state
-    this.realtime.on('server.conversation.item.created', (event) => {
+    onServerEvent('conversation.item.created', (event) => {
+      if (this.conversation.getItem(event.item.id)) {
+        // Item was replayed from our own conversation history after a reconnect
+        return;
+      }
       const { item } = handlerWithDispatch(event);
       this.dispatch('conversation.item.appended', { item });
       if (item.status === 'completed') {
         this.dispatch('conversation.item.completed', { item });
       }
+      applyPendingEvents(item.id);
+      this._applyRetention();
     });
-    this.realtime.on('server.conversation.item.truncated', handlerWithDispatch);
-    this.realtime.on('server.conversation.item.deleted', handlerWithDispatch);
-    this.realtime.on(
-      'server.conversation.item.input_audio_transcription.completed',
+    onServerEvent('conversation.item.truncated', handlerWithDispatch);
+    onServerEvent('conversation.item.deleted', handlerWithDispatch);
+    onServerEvent(
+      'conversation.item.input_audio_transcription.delta',
       handlerWithDispatch,
     );
-    this.realtime.on(
-      'server.response.audio_transcript.delta',
+    onServerEvent('response.audio_transcript.delta', handlerWithDispatch);
+    onServerEvent('response.audio.delta', handlerWithDispatch);
+    onServerEvent('response.text.delta', handlerWithDispatch);
+    onServerEvent(
+      'response.function_call_arguments.delta',
       handlerWithDispatch,
     );
-    this.realtime.on('server.response.audio.delta', handlerWithDispatch);
-    this.realtime.on('server.response.text.delta', handlerWithDispatch);
-    this.realtime.on(
-      'server.response.function_call_arguments.delta',
-      handlerWithDispatch,
+    onServerEvent('response.content_part.done', handlerWithDispatch);
+
+    // Final values replace what was accumulated from deltas,
+    // then we dispatch "conversation.item.{name}" with the item and the final value
+    const finalize = (serverEventName, eventName, key) => {
+      onServerEvent(serverEventName, (event) => {
+        const { item } = handlerWithDispatch(event);
+        if (item) {
+          this.dispatch(`conversation.item.${eventName}`, {
+            item,
+            ...(key ? { [key]: event[key] } : {}),
+          });
+        }
+      });
+    };
+    finalize(
+      'conversation.item.input_audio_transcription.completed',
+      'transcription.completed',
+      'transcript',
+    );
+    finalize(
+      'conversation.item.input_audio_transcription.failed',
+      'transcription.failed',
+      'error',
+    );
+    finalize('response.text.done', 'text.done', 'text');
+    finalize('response.audio_transcript.done', 'transcript.done', 'transcript');
+    finalize('response.audio.done', 'audio.done');
+    finalize(
+      'response.function_call_arguments.done',
+      'arguments.done',
+      'arguments',
     );
-    this.realtime.on('server.response.output_item.done', async (event) => {
+    onServerEvent('response.output_item.done', async (event) => {
       const { item } = handlerWithDispatch(event);
+      if (!item) {
+        return;
+      }
       if (item.status === 'completed') {
         this.dispatch('conversation.item.completed', { item });
       }
@@ -410,62 +638,236 @@ export class RealtimeClient extends RealtimeEventHandler {
   /**
    * Connects to the Realtime WebSocket API
    * Updates session config and conversation config
+   * Starts a new session, so usage is reset (it is kept across automatic reconnects)
+   * Rejects with a RealtimeTimeoutError or RealtimeAbortError when `timeout` elapses or `signal` aborts
+   * @param {{ephemeralKey?: string, timeout?: number|null, signal?: AbortSignal|null}} [options]
    * @returns {Promise<true>}
    */
-  connect = async ({ ephemeralKey } = {}) => {
+  connect = async ({ ephemeralKey, timeout = null, signal = null } = {}) => {
     if (this.isConnected()) {
       throw new Error(`Already connected, use .disconnect() first`);
     }
+    this.usage.reset();
 
     // If ephemeral key is provided in connect(), use it
     if (ephemeralKey) {
       this.ephemeralKey = ephemeralKey;
     }
-    
-    // For WebRTC, try to fetch ephemeral key if needed
-    if (this.transport === 'webrtc') {
-      if (!this.ephemeralKey && this.fetchEphemeralKeyUrl) {
-        try {
-          const response = await fetch(this.fetchEphemeralKeyUrl);
-          if (!response.ok) {
-            throw new Error(`Failed to fetch ephemeral key: ${response.status} ${response.statusText}`);
-          }
-          const data = await response.json();
-          if (!data.ephemeral_key) {
-            throw new Error('Response missing ephemeral_key field');
-          }
-          this.ephemeralKey = data.ephemeral_key;
-        } catch (error) {
-          throw new Error(`Failed to fetch ephemeral key: ${error.message}`);
+
+    const abort = RealtimeUtils.createAbortSignal(
+      { signal, timeout },
+      'connect()',
+    );
+    try {
+      await this._connectTransport({ signal: abort.signal });
+    } finally {
+      abort.clear();
+    }
+    this.updateSession();
+    return true;
+  }
+
+  /**
+   * Connects the underlying transport, fetching an ephemeral key for WebRTC or custom transports if needed
+   * `signal` is passed on to the transport, which should close and reject with its reason when it aborts
+   * @private
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<true>}
+   */
+  _connectTransport = async ({ signal } = {}) => {
+    if (this.transport === 'websocket') {
+      await this.realtime.connect({ signal });
+      return true;
+    }
+
+    // For WebRTC and custom transports, try to fetch ephemeral key if needed
+    if (!this.ephemeralKey && this.fetchEphemeralKeyUrl) {
+      try {
+        const response = await fetch(this.fetchEphemeralKeyUrl, { signal });
+        if (!response.ok) {
+          throw new Error(`Failed to fetch ephemeral key: ${response.status} ${response.statusText}`);
+        }
+        const data = await response.json();
+        if (!data.ephemeral_key) {
+          throw new Error('Response missing ephemeral_key field');
+        }
+        this.ephemeralKey = data.ephemeral_key;
+      } catch (error) {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+        throw new Error(`Failed to fetch ephemeral key: ${error.message}`);
+      }
+    }
+
+    if (this.transport === 'webrtc' && !this.ephemeralKey) {
+      throw new Error('Ephemeral key is required for WebRTC transport');
+    }
+
+    await this.realtime.connect({ 
+      ephemeralKey: this.ephemeralKey,
+      sessionConfig: this.sessionConfig,
+      signal
+    });
+    return true;
+  }
+
+  /**
+   * Schedules a reconnection attempt using exponential backoff with jitter
+   * @private
+   * @param {number} attempt
+   * @returns {true}
+   */
+  _scheduleReconnect = (attempt) => {
+    const { maxAttempts, initialDelay, maxDelay, backoffFactor, jitter } =
+      this.reconnectConfig;
+    const baseDelay = Math.min(
+      maxDelay,
+      initialDelay * Math.pow(backoffFactor, attempt - 1),
+    );
+    const delay = Math.floor(baseDelay * (1 - jitter * Math.random()));
+    this.dispatch('reconnecting', { attempt, delay });
+    this.reconnectTimeout = setTimeout(async () => {
+      this.reconnectTimeout = null;
+      try {
+        // Ephemeral keys expire quickly, so get a fresh one if we can
+        if (this.fetchEphemeralKeyUrl) {
+          this.ephemeralKey = null;
         }
+        await this._connectTransport();
+      } catch (error) {
+        if (!this.reconnecting) {
+          return;
+        }
+        if (attempt >= maxAttempts) {
+          this.reconnecting = false;
+          this.dispatch('reconnect_failed', { attempts: attempt, error });
+          this.dispatch('close', { error: true });
+        } else {
+          this._scheduleReconnect(attempt + 1);
+        }
+        return;
+      }
+      if (!this.reconnecting) {
+        // .disconnect() was called while we were connecting
+        this.realtime.disconnect();
+        return;
       }
-      
-      if (!this.ephemeralKey) {
-        throw new Error('Ephemeral key is required for WebRTC transport');
+      this.reconnecting = false;
+      this.inputAudioBuffer = new RealtimeAudioBuffer();
+      this.updateSession();
+      if (this.reconnectConfig.replayConversation) {
+        this._replayConversation();
       }
+      this.dispatch('reconnected', { attempt });
+    }, delay);
+    return true;
+  }
 
-      await this.realtime.connect({ 
-        ephemeralKey: this.ephemeralKey,
-        sessionConfig: this.sessionConfig
+  /**
+   * Re-creates all finished conversation items in the current session
+   * so the model keeps its context
+   * Messages without text, transcript or audio are skipped,
+   * dispatching "conversation.warning" with the skipped `items`
+   * @private
+   * @returns {true}
+   */
+  _replayConversation = () => {
+    const skippedItems = [];
+    for (const item of this.conversation.getItems()) {
+      if (item.status === 'in_progress') {
+        continue;
+      }
+      const replayItem = { id: item.id, type: item.type };
+      if (item.type === 'message') {
+        replayItem.role = item.role;
+        const text = item.formatted.text || item.formatted.transcript || '';
+        // Assistant audio can not be re-created, so we send its transcript as text
+        const audio =
+          item.role === 'assistant' ? null : item.formatted.audioBuffer;
+        if (!audio?.length && !text.trim()) {
+          // e.g. user audio that was evicted, with a failed transcription
+          skippedItems.push(item);
+          continue;
+        }
+        if (item.role === 'assistant') {
+          replayItem.content = [{ type: 'text', text }];
+        } else if (audio.length) {
+          replayItem.content = [
+            {
+              type: 'input_audio',
+              audio: RealtimeUtils.arrayBufferToBase64(audio.toInt16Array()),
+            },
+          ];
+        } else {
+          replayItem.content = [{ type: 'input_text', text }];
+        }
+      } else if (item.type === 'function_call') {
+        replayItem.call_id = item.call_id;
+        replayItem.name = item.name;
+        replayItem.arguments = item.arguments;
+      } else if (item.type === 'function_call_output') {
+        replayItem.call_id = item.call_id;
+        replayItem.output = item.output;
+      } else {
+        continue;
+      }
+      this.realtime.send('conversation.item.create', { item: replayItem });
+    }
+    if (skippedItems.length) {
+      this.dispatch('conversation.warning', {
+        message: `Skipped ${skippedItems.length} item(s) without text, transcript or audio`,
+        items: skippedItems,
       });
-    } else {
-      await this.realtime.connect();
     }
-    
-    this.updateSession();
+    return true;
+  }
+
+  /**
+   * Restores a conversation snapshot from RealtimeConversation#toJSON() into the current session
+   * Completed items are re-created with "conversation.item.create", like reconnects with `replayConversation`
+   * The session should be fresh, so the conversation must be empty
+   * @param {import('./conversation.js').ConversationSnapshotType|string} snapshot
+   * @returns {true}
+   */
+  restoreConversation = (snapshot) => {
+    if (!this.isConnected()) {
+      throw new Error(`Not connected, use .connect() first`);
+    }
+    if (this.conversation.getItems().length) {
+      throw new Error(
+        `Can not restore a conversation into a session that already has items`,
+      );
+    }
+    this.conversation = RealtimeConversation.fromJSON(snapshot);
+    this._replayConversation();
     return true;
   }
 
   /**
    * Waits for a session.created event to be executed before proceeding
+   * Rejects with a RealtimeTimeoutError or RealtimeAbortError when `timeout` elapses or `signal` aborts
+   * @param {{timeout?: number|null, signal?: AbortSignal|null}} [options]
    * @returns {Promise<true>}
    */
-  waitForSessionCreated = async () => {
+  waitForSessionCreated = async ({ timeout = null, signal = null } = {}) => {
     if (!this.isConnected()) {
       throw new Error(`Not connected, use .connect() first`);
     }
-    while (!this.sessionCreated) {
-      await new Promise((r) => setTimeout(() => r(), 1));
+    if (this.sessionCreated) {
+      return true;
+    }
+    const abort = RealtimeUtils.createAbortSignal(
+      { signal, timeout },
+      'waitForSessionCreated()',
+    );
+    try {
+      // Our own "server.session.created" handler runs first and sets this.sessionCreated
+      await this.realtime.waitForNext('server.session.created', {
+        signal: abort.signal,
+      });
+    } finally {
+      abort.clear();
     }
     return true;
   }
@@ -474,9 +876,25 @@ export class RealtimeClient extends RealtimeEventHandler {
    * Disconnects from the Realtime API and clears the conversation history
    */
   disconnect = () => {
+    const wasReconnecting = this.reconnecting;
     this.sessionCreated = false;
+    this.reconnecting = false;
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+    if (this.throttleTimeout) {
+      clearTimeout(this.throttleTimeout);
+      this.throttleTimeout = null;
+    }
+    // Events still held back can no longer be applied
+    this._expirePendingEvents({ all: true });
     this.realtime.isConnected() && this.realtime.disconnect();
     this.conversation.clear();
+    if (wasReconnecting) {
+      // The transport already closed, so it won't dispatch "close" again
+      this.dispatch('close', { error: false });
+    }
   }
 
   /**
@@ -524,6 +942,17 @@ export class RealtimeClient extends RealtimeEventHandler {
     return true;
   }
 
+  /**
+   * Adds middleware to the transport, see RealtimeTransport#use()
+   * Outgoing middleware sees every client event before it is sent,
+   * incoming middleware sees every server event before it is handled
+   * @param {import('./transport.js').MiddlewareType} middleware
+   * @returns {() => true} Removes the middleware
+   */
+  use = (middleware) => {
+    return this.realtime.use(middleware);
+  }
+
   /**
    * Deletes an item
    * @param {string} id
@@ -635,16 +1064,118 @@ export class RealtimeClient extends RealtimeEventHandler {
       this.realtime.send('input_audio_buffer.append', {
         audio: RealtimeUtils.arrayBufferToBase64(arrayBuffer),
       });
-      this.inputAudioBuffer = RealtimeUtils.mergeInt16Arrays(
-        this.inputAudioBuffer,
-        arrayBuffer,
+      this.inputAudioBuffer.append(arrayBuffer);
+      const { maxInputAudioSeconds } = this.retentionConfig;
+      if (maxInputAudioSeconds !== null) {
+        const maxSamples = Math.floor(
+          maxInputAudioSeconds * this.conversation.defaultFrequency,
+        );
+        this.inputAudioBuffer.dropStart(
+          this.inputAudioBuffer.length - maxSamples,
+        );
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Evicts old items and item audio according to `retentionConfig`
+   * Dispatches "conversation.evicted" with `{items, audioItems}` when anything was evicted
+   * @private
+   * @returns {true}
+   */
+  _applyRetention() {
+    const { maxAudioTurns, maxItems } = this.retentionConfig;
+    if (maxAudioTurns !== null || maxItems !== null) {
+      const evicted = this.conversation.evict({ maxAudioTurns, maxItems });
+      if (evicted.items.length || evicted.audioItems.length) {
+        this.dispatch('conversation.evicted', evicted);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Drops events held back for longer than `conversation.pendingEventTimeout`, or all of them,
+   * dispatching "conversation.warning" with the dropped events
+   * Nothing is held back while disconnected, as their items or responses can not arrive anymore
+   * Checks again later while events are still held back, without keeping the process alive
+   * @private
+   * @param {{all?: boolean}} [options]
+   * @returns {true}
+   */
+  _expirePendingEvents({ all = false } = {}) {
+    clearTimeout(this.pendingEventsTimeout);
+    this.pendingEventsTimeout = null;
+    const expired = this.conversation.expirePendingEvents(
+      all || !this.isConnected() ? Infinity : Date.now(),
+    );
+    if (expired.length) {
+      this.dispatch('conversation.warning', {
+        message: `Dropped ${expired.length} event(s) for items or responses that were never created`,
+        events: expired,
+      });
+    }
+    if (Object.keys(this.conversation.pendingEvents).length) {
+      this.pendingEventsTimeout = setTimeout(
+        () => this._expirePendingEvents(),
+        this.conversation.pendingEventTimeout,
       );
+      this.pendingEventsTimeout.unref?.();
     }
     return true;
   }
 
+  /**
+   * Tells us whether a rate limit is at or below `rateLimitWarningThreshold`
+   * @private
+   * @param {RateLimitType} rateLimit
+   * @returns {boolean}
+   */
+  _isRateLimitLow(rateLimit) {
+    return (
+      rateLimit.limit > 0 &&
+      rateLimit.remaining / rateLimit.limit <= this.rateLimitWarningThreshold
+    );
+  }
+
+  /**
+   * Gets how long to delay a response until the rate limits it would exceed reset
+   * @private
+   * @returns {{delay: number, rateLimit: RateLimitType|null}}
+   */
+  _getThrottleDelay() {
+    let delay = 0;
+    let limited = null;
+    if (this.throttleConfig) {
+      const { minRemainingTokens, minRemainingRequests, maxDelay } =
+        this.throttleConfig;
+      const minimums = {
+        tokens: minRemainingTokens,
+        requests: minRemainingRequests,
+      };
+      const now = Date.now();
+      for (const name in minimums) {
+        const rateLimit = this.rateLimits[name];
+        if (
+          rateLimit &&
+          rateLimit.remaining < minimums[name] &&
+          rateLimit.reset_at - now > delay
+        ) {
+          delay = rateLimit.reset_at - now;
+          limited = rateLimit;
+        }
+      }
+      delay = Math.min(delay, maxDelay);
+    }
+    return { delay, rateLimit: limited };
+  }
+
   /**
    * Forces a model response generation
+   * With `throttle` enabled, "response.create" is delayed while rate limits are low,
+   * and "rate_limits.throttled" is dispatched with `{delay, rateLimit}`
+   * Calls while a response is delayed are merged into it
    * @returns {true}
    */
   createResponse() {
@@ -653,8 +1184,22 @@ export class RealtimeClient extends RealtimeEventHandler {
       this.inputAudioBuffer.byteLength > 0
     ) {
       this.realtime.send('input_audio_buffer.commit');
-      this.conversation.queueInputAudio(this.inputAudioBuffer);
-      this.inputAudioBuffer = new Int16Array(0);
+      this.conversation.queueInputAudio(this.inputAudioBuffer.toInt16Array());
+      this.inputAudioBuffer = new RealtimeAudioBuffer();
+    }
+    if (this.throttleTimeout) {
+      return true;
+    }
+    const { delay, rateLimit } = this._getThrottleDelay();
+    if (delay > 0) {
+      this.dispatch('rate_limits.throttled', { delay, rateLimit });
+      this.throttleTimeout = setTimeout(() => {
+        this.throttleTimeout = null;
+        if (this.realtime.isConnected()) {
+          this.realtime.send('response.create');
+        }
+      }, delay);
+      return true;
     }
     this.realtime.send('response.create');
     return true;
@@ -701,20 +1246,30 @@ export class RealtimeClient extends RealtimeEventHandler {
 
   /**
    * Utility for waiting for the next `conversation.item.appended` event to be triggered by the server
+   * Rejects with a RealtimeTimeoutError or RealtimeAbortError when `timeout` elapses or `signal` aborts
+   * @param {{timeout?: number|null, signal?: AbortSignal|null}} [options]
    * @returns {Promise<{item: ItemType}>}
    */
-  async waitForNextItem() {
-    const event = await this.waitForNext('conversation.item.appended');
+  async waitForNextItem({ timeout = null, signal = null } = {}) {
+    const event = await this.waitForNext('conversation.item.appended', {
+      timeout,
+      signal,
+    });
     const { item } = event;
     return { item };
   }
 
   /**
    * Utility for waiting for the next `conversation.item.completed` event to be triggered by the server
+   * Rejects with a RealtimeTimeoutError or RealtimeAbortError when `timeout` elapses or `signal` aborts
+   * @param {{timeout?: number|null, signal?: AbortSignal|null}} [options]
    * @returns {Promise<{item: ItemType}>}
    */
-  async waitForNextCompletedItem() {
-    const event = await this.waitForNext('conversation.item.completed');
+  async waitForNextCompletedItem({ timeout = null, signal = null } = {}) {
+    const event = await this.waitForNext('conversation.item.completed', {
+      timeout,
+      signal,
+    });
     const { item } = event;
     return { item };
   }
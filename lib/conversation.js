@@ -1,4 +1,5 @@
 import { RealtimeUtils } from './utils.js';
+import { RealtimeAudioBuffer } from './audio_buffer.js';
 
 /**
  * Contains text and audio information about a item
@@ -10,14 +11,42 @@ import { RealtimeUtils } from './utils.js';
  * @property {string} [transcript]
  */
 
+/**
+ * Serializable snapshot of a conversation, from RealtimeConversation#toJSON()
+ * Item `formatted.audio` is base64-encoded PCM16, or omitted
+ * @typedef {Object} ConversationSnapshotType
+ * @property {number} version
+ * @property {{[key: string]: any}[]} items
+ * @property {{[key: string]: any}[]} responses
+ */
+
+/**
+ * An event held back until the item or response it references is created
+ * @typedef {Object} PendingEventType
+ * @property {{[key: string]: any}} event
+ * @property {number} time When it was received, in milliseconds
+ */
+
 /**
  * RealtimeConversation holds conversation history
  * and performs event validation for RealtimeAPI
  * @class
  */
 export class RealtimeConversation {
+  static snapshotVersion = 1;
+
+  // Events that reference an item before it is created, they are never held back
+  static forwardReferenceEvents = [
+    'input_audio_buffer.committed',
+    'input_audio_buffer.speech_started',
+    'input_audio_buffer.speech_stopped',
+  ];
+
   defaultFrequency = 24_000; // 24,000 Hz
 
+  // How long events for unknown items or responses are held, in milliseconds
+  pendingEventTimeout = 10_000;
+
   EventProcessors = {
     'conversation.item.created': (event) => {
       const { item } = event;
@@ -28,12 +57,20 @@ export class RealtimeConversation {
         this.items.push(newItem);
       }
       newItem.formatted = {};
-      newItem.formatted.audio = new Int16Array(0);
+      this._addAudioBuffer(newItem.formatted);
       newItem.formatted.text = '';
       newItem.formatted.transcript = '';
       // If we have a speech item, can populate audio
       if (this.queuedSpeechItems[newItem.id]) {
-        newItem.formatted.audio = this.queuedSpeechItems[newItem.id].audio;
+        const speech = this.queuedSpeechItems[newItem.id];
+        if (speech.audio) {
+          newItem.formatted.audio = speech.audio;
+        }
+        // Keep the timing to place the audio in recordings
+        newItem.formatted.audio_start_ms = speech.audio_start_ms;
+        if (speech.audio_end_ms !== undefined) {
+          newItem.formatted.audio_end_ms = speech.audio_end_ms;
+        }
         delete this.queuedSpeechItems[newItem.id]; // free up some memory
       }
       // Populate formatted text if it comes out on creation
@@ -45,11 +82,6 @@ export class RealtimeConversation {
           newItem.formatted.text += content.text;
         }
       }
-      // If we have a transcript item, can pre-populate transcript
-      if (this.queuedTranscriptItems[newItem.id]) {
-        newItem.formatted.transcript = this.queuedTranscriptItems.transcript;
-        delete this.queuedTranscriptItems[newItem.id];
-      }
       if (newItem.type === 'message') {
         if (newItem.role === 'user') {
           newItem.status = 'completed';
@@ -84,7 +116,7 @@ export class RealtimeConversation {
         (audio_end_ms * this.defaultFrequency) / 1000,
       );
       item.formatted.transcript = '';
-      item.formatted.audio = item.formatted.audio.slice(0, endIndex);
+      item.formatted.audio = item.formatted.audioBuffer.slice(0, endIndex);
       return { item, delta: null };
     },
     'conversation.item.deleted': (event) => {
@@ -94,6 +126,7 @@ export class RealtimeConversation {
         throw new Error(`item.deleted: Item "${item_id}" not found`);
       }
       delete this.itemLookup[item.id];
+      this.removedItemIds.add(item.id);
       const index = this.items.indexOf(item);
       if (index > -1) {
         this.items.splice(index, 1);
@@ -107,17 +140,50 @@ export class RealtimeConversation {
       // Otherwise it looks like no transcript provided
       const formattedTranscript = transcript || ' ';
       if (!item) {
-        // We can receive transcripts in VAD mode before item.created
-        // This happens specifically when audio is empty
-        this.queuedTranscriptItems[item_id] = {
-          transcript: formattedTranscript,
-        };
-        return { item: null, delta: null };
-      } else {
-        item.content[content_index].transcript = transcript;
-        item.formatted.transcript = formattedTranscript;
-        return { item, delta: { transcript } };
+        throw new Error(
+          `conversation.item.input_audio_transcription.completed: Item "${item_id}" not found`,
+        );
+      }
+      // Deltas already streamed the transcript, the final one replaces it
+      const streamed = !!item.formatted.transcript;
+      item.content[content_index].transcript = transcript;
+      item.formatted.transcript = formattedTranscript;
+      delete item.formatted.transcription_error;
+      return { item, delta: streamed ? null : { transcript } };
+    },
+    'conversation.item.input_audio_transcription.delta': (event) => {
+      const { item_id, content_index, delta } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(
+          `conversation.item.input_audio_transcription.delta: Item "${item_id}" not found`,
+        );
+      }
+      const content = item.content[content_index];
+      if (content) {
+        content.transcript = (content.transcript || '') + delta;
+      }
+      item.formatted.transcript += delta;
+      return { item, delta: { transcript: delta } };
+    },
+    'conversation.item.input_audio_transcription.failed': (event) => {
+      const { item_id, error } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(
+          `conversation.item.input_audio_transcription.failed: Item "${item_id}" not found`,
+        );
       }
+      item.formatted.transcription_error = error;
+      return { item, delta: null };
+    },
+    'input_audio_buffer.committed': () => {
+      // The user item follows with "conversation.item.created"
+      return { item: null, delta: null };
+    },
+    'input_audio_buffer.cleared': () => {
+      this.queuedInputAudio = null;
+      return { item: null, delta: null };
     },
     'input_audio_buffer.speech_started': (event) => {
       const { item_id, audio_start_ms } = event;
@@ -132,13 +198,18 @@ export class RealtimeConversation {
       const speech = this.queuedSpeechItems[item_id];
       speech.audio_end_ms = audio_end_ms;
       if (inputAudioBuffer) {
+        // A RealtimeAudioBuffer may have dropped old samples to save memory
+        const offset = inputAudioBuffer.offset || 0;
         const startIndex = Math.floor(
           (speech.audio_start_ms * this.defaultFrequency) / 1000,
         );
         const endIndex = Math.floor(
           (speech.audio_end_ms * this.defaultFrequency) / 1000,
         );
-        speech.audio = inputAudioBuffer.slice(startIndex, endIndex);
+        speech.audio = inputAudioBuffer.slice(
+          Math.max(startIndex - offset, 0),
+          Math.max(endIndex - offset, 0),
+        );
       }
       return { item: null, delta: null };
     },
@@ -150,6 +221,26 @@ export class RealtimeConversation {
       }
       return { item: null, delta: null };
     },
+    'response.done': (event) => {
+      const { response } = event;
+      let foundResponse = this.responseLookup[response.id];
+      if (!foundResponse) {
+        // Missed "response.created", e.g. when joining a replay midway
+        foundResponse = { ...response, output: [] };
+        this.responseLookup[response.id] = foundResponse;
+        this.responses.push(foundResponse);
+      }
+      // Output stays a list of item ids, items are tracked by the conversation
+      for (const item of response.output || []) {
+        if (!foundResponse.output.includes(item.id)) {
+          foundResponse.output.push(item.id);
+        }
+      }
+      foundResponse.status = response.status;
+      foundResponse.status_details = response.status_details || null;
+      foundResponse.usage = response.usage || null;
+      return { item: null, delta: null };
+    },
     'response.output_item.added': (event) => {
       const { response_id, item } = event;
       const response = this.responseLookup[response_id];
@@ -208,10 +299,7 @@ export class RealtimeConversation {
       // item.content[content_index].audio += delta;
       const arrayBuffer = RealtimeUtils.base64ToArrayBuffer(delta);
       const appendValues = new Int16Array(arrayBuffer);
-      item.formatted.audio = RealtimeUtils.mergeInt16Arrays(
-        item.formatted.audio,
-        appendValues,
-      );
+      item.formatted.audioBuffer.append(appendValues);
       return { item, delta: { audio: appendValues } };
     },
     'response.text.delta': (event) => {
@@ -224,6 +312,63 @@ export class RealtimeConversation {
       item.formatted.text += delta;
       return { item, delta: { text: delta } };
     },
+    'response.content_part.done': (event) => {
+      const { item_id, content_index, part } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(
+          `response.content_part.done: Item "${item_id}" not found`,
+        );
+      }
+      item.content[content_index] = {
+        ...item.content[content_index],
+        ...part,
+      };
+      this._reconcileFormatted(item);
+      return { item, delta: null };
+    },
+    'response.text.done': (event) => {
+      const { item_id, content_index, text } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(`response.text.done: Item "${item_id}" not found`);
+      }
+      item.content[content_index].text = text;
+      this._reconcileFormatted(item);
+      return { item, delta: null };
+    },
+    'response.audio_transcript.done': (event) => {
+      const { item_id, content_index, transcript } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(
+          `response.audio_transcript.done: Item "${item_id}" not found`,
+        );
+      }
+      item.content[content_index].transcript = transcript;
+      this._reconcileFormatted(item);
+      return { item, delta: null };
+    },
+    'response.audio.done': (event) => {
+      const { item_id } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(`response.audio.done: Item "${item_id}" not found`);
+      }
+      return { item, delta: null };
+    },
+    'response.function_call_arguments.done': (event) => {
+      const { item_id, arguments: args } = event;
+      const item = this.itemLookup[item_id];
+      if (!item) {
+        throw new Error(
+          `response.function_call_arguments.done: Item "${item_id}" not found`,
+        );
+      }
+      item.arguments = args;
+      item.formatted.tool.arguments = args;
+      return { item, delta: null };
+    },
     'response.function_call_arguments.delta': (event) => {
       const { item_id, delta } = event;
       const item = this.itemLookup[item_id];
@@ -246,6 +391,48 @@ export class RealtimeConversation {
     this.clear();
   }
 
+  /**
+   * Restores a conversation from a snapshot created by .toJSON()
+   * @param {ConversationSnapshotType|string} snapshot The snapshot, or its JSON string
+   * @returns {RealtimeConversation}
+   */
+  static fromJSON(snapshot) {
+    if (typeof snapshot === 'string') {
+      snapshot = JSON.parse(snapshot);
+    }
+    if (
+      !snapshot ||
+      !Array.isArray(snapshot.items) ||
+      !Array.isArray(snapshot.responses)
+    ) {
+      throw new Error(`Invalid conversation snapshot`);
+    }
+    if (snapshot.version !== this.snapshotVersion) {
+      throw new Error(
+        `Unsupported conversation snapshot version "${snapshot.version}"`,
+      );
+    }
+    const conversation = new this();
+    for (const snapshotItem of snapshot.items) {
+      const item = JSON.parse(JSON.stringify(snapshotItem));
+      item.formatted = item.formatted || {};
+      const audio = item.formatted.audio;
+      delete item.formatted.audio;
+      conversation._addAudioBuffer(
+        item.formatted,
+        audio ? RealtimeUtils.base64ToArrayBuffer(audio) : undefined,
+      );
+      conversation.itemLookup[item.id] = item;
+      conversation.items.push(item);
+    }
+    for (const snapshotResponse of snapshot.responses) {
+      const response = JSON.parse(JSON.stringify(snapshotResponse));
+      conversation.responseLookup[response.id] = response;
+      conversation.responses.push(response);
+    }
+    return conversation;
+  }
+
   /**
    * Clears the conversation history and resets to default
    * @returns {true}
@@ -256,8 +443,56 @@ export class RealtimeConversation {
     this.responseLookup = {};
     this.responses = [];
     this.queuedSpeechItems = {};
-    this.queuedTranscriptItems = {};
     this.queuedInputAudio = null;
+    /** @type {{[key: string]: PendingEventType[]}} */
+    this.pendingEvents = {};
+    // Ids of deleted and evicted items, later events for them are ignored instead of held
+    /** @type {Set<string>} */
+    this.removedItemIds = new Set();
+    return true;
+  }
+
+  /**
+   * Stores `formatted.audio` in a RealtimeAudioBuffer, available as `formatted.audioBuffer`
+   * `formatted.audio` still reads and writes an Int16Array, reads are cached until the next write
+   * @private
+   * @param {{[key: string]: any}} formatted
+   * @param {Int16Array|ArrayBuffer} [audio]
+   * @returns {RealtimeAudioBuffer}
+   */
+  _addAudioBuffer(formatted, audio) {
+    const audioBuffer = new RealtimeAudioBuffer(audio);
+    Object.defineProperty(formatted, 'audioBuffer', {
+      value: audioBuffer,
+      configurable: true,
+    });
+    Object.defineProperty(formatted, 'audio', {
+      get: () => audioBuffer.toInt16Array(),
+      set: (audio) => {
+        audioBuffer.clear();
+        audioBuffer.append(audio);
+      },
+      enumerable: true,
+      configurable: true,
+    });
+    return audioBuffer;
+  }
+
+  /**
+   * Rebuilds `formatted.text` and `formatted.transcript` of an assistant item from its final content,
+   * replacing what was accumulated from deltas
+   * @private
+   * @param {import('./client.js').ItemType} item
+   * @returns {true}
+   */
+  _reconcileFormatted(item) {
+    const join = (type, key) =>
+      item.content
+        .filter((c) => c.type === type)
+        .map((c) => c[key] || '')
+        .join('');
+    item.formatted.text = join('text', 'text');
+    item.formatted.transcript = join('audio', 'transcript');
     return true;
   }
 
@@ -292,9 +527,237 @@ export class RealtimeConversation {
         `Missing conversation event processor for "${event.type}"`,
       );
     }
+    const pendingId = this._getPendingId(event);
+    if (pendingId && this.removedItemIds.has(pendingId)) {
+      return { item: null, delta: null };
+    } else if (pendingId) {
+      // Events can arrive before the item or response they belong to
+      this.pendingEvents[pendingId] = this.pendingEvents[pendingId] || [];
+      this.pendingEvents[pendingId].push({ event, time: Date.now() });
+      return { item: null, delta: null };
+    }
     return eventProcessor.call(this, event, ...args);
   }
 
+  /**
+   * Gets the id of the unknown item or response an event depends on, if any
+   * @private
+   * @param {{[key: string]: any}} event
+   * @returns {string|null}
+   */
+  _getPendingId(event) {
+    if (this.constructor.forwardReferenceEvents.includes(event.type)) {
+      return null;
+    } else if (event.type === 'response.output_item.added') {
+      const id = event.response_id;
+      return id && !this.responseLookup[id] ? id : null;
+    }
+    const id =
+      event.type === 'response.output_item.done'
+        ? event.item?.id
+        : event.item_id;
+    return id && !this.itemLookup[id] ? id : null;
+  }
+
+  /**
+   * Removes and returns events held back until an item or response exists
+   * Pass them to .processEvent() again in order once it has been created
+   * @param {string} id Item or response id
+   * @returns {{[key: string]: any}[]}
+   */
+  takePendingEvents(id) {
+    const pending = this.pendingEvents[id] || [];
+    delete this.pendingEvents[id];
+    return pending.map(({ event }) => event);
+  }
+
+  /**
+   * Removes events that have been held for longer than `pendingEventTimeout`
+   * Their item or response was never created, so they can not be applied
+   * @param {number} [now] Current time in milliseconds
+   * @returns {{[key: string]: any}[]} The expired events
+   */
+  expirePendingEvents(now = Date.now()) {
+    const expired = [];
+    for (const id in this.pendingEvents) {
+      const pending = this.pendingEvents[id];
+      if (now - pending[0].time >= this.pendingEventTimeout) {
+        expired.push(...pending.map(({ event }) => event));
+        delete this.pendingEvents[id];
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Creates a snapshot of items, including their `formatted` fields, and responses
+   * Audio is encoded as base64 PCM16, or left out of items entirely with `audio: "omit"`
+   * Called by JSON.stringify() with the default options
+   * @param {{audio?: "base64"|"omit"}} [options]
+   * @returns {ConversationSnapshotType}
+   */
+  toJSON({ audio = 'base64' } = {}) {
+    if (!['base64', 'omit'].includes(audio)) {
+      throw new Error(`Invalid audio option "${audio}"`);
+    }
+    const items = this.items.map((item) => {
+      const { formatted, ...rest } = item;
+      const { audio: formattedAudio, ...formattedRest } = formatted || {};
+      const snapshotItem = JSON.parse(JSON.stringify(rest));
+      snapshotItem.formatted = JSON.parse(JSON.stringify(formattedRest));
+      if (audio === 'omit') {
+        for (const content of snapshotItem.content || []) {
+          delete content.audio;
+        }
+      } else if (formattedAudio?.length) {
+        snapshotItem.formatted.audio =
+          RealtimeUtils.arrayBufferToBase64(formattedAudio);
+      }
+      return snapshotItem;
+    });
+    return {
+      version: RealtimeConversation.snapshotVersion,
+      items,
+      responses: JSON.parse(JSON.stringify(this.responses)),
+    };
+  }
+
+  /**
+   * Frees memory held by old items, locally only: the server still has them
+   * `maxAudioTurns` drops the audio of items before the last N user messages,
+   * `maxItems` removes the oldest items beyond N, skipping items still in progress
+   * @param {{maxAudioTurns?: number|null, maxItems?: number|null}} [options]
+   * @returns {{items: import('./client.js').ItemType[], audioItems: import('./client.js').ItemType[]}} Removed items, and items that had their audio dropped
+   */
+  evict({ maxAudioTurns = null, maxItems = null } = {}) {
+    const items = [];
+    const audioItems = [];
+    if (maxItems !== null && this.items.length > maxItems) {
+      let excess = this.items.length - maxItems;
+      for (const item of this.items) {
+        if (excess === 0) {
+          break;
+        }
+        if (item.status !== 'in_progress') {
+          items.push(item);
+          excess--;
+        }
+      }
+      for (const item of items) {
+        delete this.itemLookup[item.id];
+        this.removedItemIds.add(item.id);
+        this.items.splice(this.items.indexOf(item), 1);
+      }
+    }
+    if (maxAudioTurns !== null) {
+      let turns = 0;
+      let turnStart = this.items.length;
+      for (
+        let i = this.items.length - 1;
+        i >= 0 && turns < maxAudioTurns;
+        i--
+      ) {
+        if (this.items[i].role === 'user') {
+          turns++;
+          turnStart = i;
+        }
+      }
+      if (turns === maxAudioTurns) {
+        for (const item of this.items.slice(0, turnStart)) {
+          if (item.formatted?.audioBuffer?.length) {
+            item.formatted.audioBuffer.clear();
+            audioItems.push(item);
+          }
+        }
+      }
+    }
+    return { items, audioItems };
+  }
+
+  /**
+   * Encodes the audio of each message item as a WAV file
+   * @returns {{item: import('./client.js').ItemType, filename: string, wav: ArrayBuffer}[]}
+   */
+  exportItemWavs() {
+    return this.items
+      .filter((item) => item.formatted?.audioBuffer?.length)
+      .map((item, i) => ({
+        item,
+        filename: `${`${i + 1}`.padStart(3, '0')}_${item.role}_${item.id}.wav`,
+        wav: RealtimeUtils.encodeWav(
+          item.formatted.audioBuffer.toInt16Array(),
+          {
+            sampleRate: this.defaultFrequency,
+          },
+        ),
+      }));
+  }
+
+  /**
+   * Mixes the audio of the whole conversation into a time-aligned stereo recording,
+   * with the user on the left channel and the assistant on the right
+   * User audio is placed at its `audio_start_ms` when known (VAD mode),
+   * otherwise when the audio before it ends
+   * Assistant audio starts when the preceding user speech ends (`audio_end_ms`), and
+   * further assistant items of the same turn follow it back to back
+   * This is an approximation: response latency is not known, so it is left out,
+   * and interrupted audio that was not truncated overlaps whatever comes after it
+   * @returns {Int16Array} Interleaved stereo PCM16
+   */
+  getStereoAudio() {
+    const toSamples = (ms) => Math.floor((ms * this.defaultFrequency) / 1000);
+    const placements = [];
+    let cursor = 0;
+    // Where the next assistant item starts, once there was user audio
+    let assistantStart = null;
+    for (const item of this.items) {
+      if (item.type !== 'message' || !item.formatted?.audioBuffer?.length) {
+        continue;
+      }
+      const audio = item.formatted.audioBuffer.toInt16Array();
+      const isUser = item.role === 'user';
+      let start;
+      if (isUser) {
+        start =
+          typeof item.formatted.audio_start_ms === 'number'
+            ? toSamples(item.formatted.audio_start_ms)
+            : cursor;
+        assistantStart =
+          typeof item.formatted.audio_end_ms === 'number'
+            ? toSamples(item.formatted.audio_end_ms)
+            : start + audio.length;
+      } else {
+        start = assistantStart ?? cursor;
+        assistantStart = start + audio.length;
+      }
+      placements.push({ audio, start, channel: isUser ? 0 : 1 });
+      cursor = Math.max(cursor, start + audio.length);
+    }
+    const stereo = new Int16Array(cursor * 2);
+    for (const { audio, start, channel } of placements) {
+      for (let i = 0; i < audio.length; i++) {
+        const index = (start + i) * 2 + channel;
+        // Overlapping audio on the same channel is summed, then clipped
+        stereo[index] = Math.max(
+          -32768,
+          Math.min(32767, stereo[index] + audio[i]),
+        );
+      }
+    }
+    return stereo;
+  }
+
+  /**
+   * Encodes the stereo recording from .getStereoAudio() as a WAV file
+   * @returns {ArrayBuffer}
+   */
+  exportStereoWav() {
+    return RealtimeUtils.encodeWav(this.getStereoAudio(), {
+      sampleRate: this.defaultFrequency,
+      channels: 2,
+    });
+  }
+
   /**
    * Retrieves a item by id
    * @param {string} id
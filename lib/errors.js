@@ -0,0 +1,32 @@
+/**
+ * Thrown when an operation is cancelled through its `signal`
+ * The abort reason of the signal, if any, is available as `cause`
+ * @class
+ */
+export class RealtimeAbortError extends Error {
+  /**
+   * @param {string} message
+   * @param {{cause?: any}} [options]
+   */
+  constructor(message, { cause } = {}) {
+    super(message);
+    this.name = 'AbortError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when an operation does not complete within its `timeout`
+ * @class
+ */
+export class RealtimeTimeoutError extends Error {
+  /**
+   * @param {string} message
+   * @param {{timeout?: number}} [options]
+   */
+  constructor(message, { timeout } = {}) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
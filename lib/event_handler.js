@@ -3,11 +3,56 @@
  * @typedef {(event: {[key: string]: any}): void} EventHandlerCallbackType
  */
 
-const sleep = (t) => new Promise((r) => setTimeout(() => r(), t));
+/**
+ * Removes the handler it was returned for
+ * @typedef {() => true} EventHandlerUnsubscribeType
+ */
+
+/**
+ * Settings for .events()
+ * `overflow` decides what happens when more than `bufferSize` events are waiting to be consumed:
+ * "drop_oldest" and "drop_newest" discard an event, "error" ends the stream with an error
+ * @typedef {Object} EventStreamOptionsType
+ * @property {AbortSignal|null} [signal] Ends the stream when aborted
+ * @property {number} [bufferSize] Defaults to 100
+ * @property {"drop_oldest"|"drop_newest"|"error"} [overflow] Defaults to "drop_oldest"
+ */
+
+/**
+ * A registered event handler
+ * @typedef {Object} EventHandlerEntryType
+ * @property {EventHandlerCallbackType} callback
+ * @property {EventHandlerUnsubscribeType} unsubscribe
+ * @property {number} priority
+ * @property {number} order
+ */
+
+import { RealtimeUtils } from './utils.js';
+
+const patternCache = {};
+
+/**
+ * Tells us whether an event name matches a subscription, where "*" matches any characters
+ * e.g. "server.response.*" matches "server.response.audio.delta" and "*.error" matches "server.error"
+ * @param {string} pattern
+ * @param {string} eventName
+ * @returns {boolean}
+ */
+const matchesPattern = (pattern, eventName) => {
+  if (!patternCache[pattern]) {
+    const source = pattern
+      .split('*')
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.+');
+    patternCache[pattern] = new RegExp(`^${source}$`);
+  }
+  return patternCache[pattern].test(eventName);
+};
 
 /**
  * Inherited class for RealtimeAPI and RealtimeClient
  * Adds basic event handling
+ * Event names passed to .on(), .onNext() and .waitForNext() can contain "*" wildcards
  * @class
  */
 export class RealtimeEventHandler {
@@ -16,8 +61,11 @@ export class RealtimeEventHandler {
    * @returns {RealtimeEventHandler}
    */
   constructor() {
+    /** @type {{[eventName: string]: EventHandlerEntryType[]}} */
     this.eventHandlers = {};
+    /** @type {{[eventName: string]: EventHandlerEntryType[]}} */
     this.nextEventHandlers = {};
+    this.handlerCount = 0;
   }
 
   /**
@@ -31,48 +79,114 @@ export class RealtimeEventHandler {
   }
 
   /**
-   * Listen to specific events
-   * @param {string} eventName The name of the event to listen to
+   * Adds a handler entry
+   * @private
+   * @param {{[eventName: string]: EventHandlerEntryType[]}} handlers
+   * @param {string} eventName
+   * @param {EventHandlerCallbackType} callback
+   * @param {number} priority
+   * @returns {EventHandlerUnsubscribeType} Removes this entry only
+   */
+  _addHandler(handlers, eventName, callback, priority) {
+    const entries = (handlers[eventName] = handlers[eventName] || []);
+    const entry = {
+      callback,
+      unsubscribe: () => {
+        const index = entries.indexOf(entry);
+        index > -1 && entries.splice(index, 1);
+        return true;
+      },
+      priority,
+      order: this.handlerCount++,
+    };
+    entries.push(entry);
+    return entry.unsubscribe;
+  }
+
+  /**
+   * Removes a handler entry by callback or unsubscribe function, or all entries for an event name
+   * @private
+   * @param {{[eventName: string]: EventHandlerEntryType[]}} handlers
+   * @param {string} eventName
+   * @param {EventHandlerCallbackType|EventHandlerUnsubscribeType} [callback]
+   * @returns {boolean} Whether or not a handler was removed
+   */
+  _removeHandler(handlers, eventName, callback) {
+    if (!callback) {
+      delete handlers[eventName];
+      return true;
+    }
+    const entries = handlers[eventName] || [];
+    const index = entries.findIndex(
+      (e) => e.callback === callback || e.unsubscribe === callback,
+    );
+    if (index === -1) {
+      return false;
+    }
+    entries.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Collects the entries for an event name, including wildcard subscriptions, in dispatch order
+   * @private
+   * @param {{[eventName: string]: EventHandlerEntryType[]}} handlers
+   * @param {string} eventName
+   * @returns {EventHandlerEntryType[]}
+   */
+  _getHandlers(handlers, eventName) {
+    let entries = [];
+    for (const pattern in handlers) {
+      if (
+        pattern === eventName ||
+        (pattern.includes('*') && matchesPattern(pattern, eventName))
+      ) {
+        entries = entries.concat(handlers[pattern]);
+      }
+    }
+    return entries.sort((a, b) => b.priority - a.priority || a.order - b.order);
+  }
+
+  /**
+   * Listen to specific events, or to all events matching a wildcard pattern
+   * Handlers with a higher `priority` run first, handlers with the same priority run in the order they were added
+   * @param {string} eventName The name of the event to listen to, e.g. "server.response.*"
    * @param {EventHandlerCallbackType} callback Code to execute on event
-   * @returns {EventHandlerCallbackType}
+   * @param {{priority?: number}} [options]
+   * @returns {EventHandlerUnsubscribeType} Removes the handler, can also be passed to .off()
    */
-  on(eventName, callback) {
-    this.eventHandlers[eventName] = this.eventHandlers[eventName] || [];
-    this.eventHandlers[eventName].push(callback);
-    return callback;
+  on(eventName, callback, { priority = 0 } = {}) {
+    return this._addHandler(this.eventHandlers, eventName, callback, priority);
   }
 
   /**
-   * Listen for the next event of a specified type
+   * Listen for the next event of a specified type, or matching a wildcard pattern
    * @param {string} eventName The name of the event to listen to
    * @param {EventHandlerCallbackType} callback Code to execute on event
-   * @returns {EventHandlerCallbackType}
+   * @param {{priority?: number}} [options]
+   * @returns {EventHandlerUnsubscribeType} Removes the handler, can also be passed to .offNext()
    */
-  onNext(eventName, callback) {
-    this.nextEventHandlers[eventName] = this.nextEventHandlers[eventName] || [];
-    this.nextEventHandlers[eventName].push(callback);
-    return callback;
+  onNext(eventName, callback, { priority = 0 } = {}) {
+    return this._addHandler(
+      this.nextEventHandlers,
+      eventName,
+      callback,
+      priority,
+    );
   }
 
   /**
    * Turns off event listening for specific events
    * Calling without a callback will remove all listeners for the event
    * @param {string} eventName
-   * @param {EventHandlerCallbackType} [callback]
+   * @param {EventHandlerCallbackType|EventHandlerUnsubscribeType} [callback] The callback, or the function returned by .on()
    * @returns {true}
    */
   off(eventName, callback) {
-    const handlers = this.eventHandlers[eventName] || [];
-    if (callback) {
-      const index = handlers.indexOf(callback);
-      if (index === -1) {
-        throw new Error(
-          `Could not turn off specified event listener for "${eventName}": not found as a listener`,
-        );
-      }
-      handlers.splice(index, 1);
-    } else {
-      delete this.eventHandlers[eventName];
+    if (!this._removeHandler(this.eventHandlers, eventName, callback)) {
+      throw new Error(
+        `Could not turn off specified event listener for "${eventName}": not found as a listener`,
+      );
     }
     return true;
   }
@@ -81,63 +195,244 @@ export class RealtimeEventHandler {
    * Turns off event listening for the next event of a specific type
    * Calling without a callback will remove all listeners for the next event
    * @param {string} eventName
-   * @param {EventHandlerCallbackType} [callback]
+   * @param {EventHandlerCallbackType|EventHandlerUnsubscribeType} [callback] The callback, or the function returned by .onNext()
    * @returns {true}
    */
   offNext(eventName, callback) {
-    const nextHandlers = this.nextEventHandlers[eventName] || [];
-    if (callback) {
-      const index = nextHandlers.indexOf(callback);
-      if (index === -1) {
-        throw new Error(
-          `Could not turn off specified next event listener for "${eventName}": not found as a listener`,
-        );
-      }
-      nextHandlers.splice(index, 1);
-    } else {
-      delete this.nextEventHandlers[eventName];
+    if (!this._removeHandler(this.nextEventHandlers, eventName, callback)) {
+      throw new Error(
+        `Could not turn off specified next event listener for "${eventName}": not found as a listener`,
+      );
     }
     return true;
   }
 
   /**
    * Waits for next event of a specific type and returns the payload
+   * If `predicate` is provided, waits for the next event it returns true for
+   * With a numeric `timeout`, resolves to null when it elapses
+   * With `{timeout, signal}`, rejects with a RealtimeTimeoutError or RealtimeAbortError instead
+   * The listener is removed as soon as the wait ends
    * @param {string} eventName
-   * @param {number|null} [timeout]
+   * @param {number|null|{timeout?: number|null, signal?: AbortSignal|null, predicate?: (event: {[key: string]: any}) => boolean}} [options]
    * @returns {Promise<{[key: string]: any}|null>}
    */
-  async waitForNext(eventName, timeout = null) {
-    const t0 = Date.now();
-    let nextEvent;
-    this.onNext(eventName, (event) => (nextEvent = event));
-    while (!nextEvent) {
-      if (timeout) {
-        const t1 = Date.now();
-        if (t1 - t0 > timeout) {
-          return null;
+  waitForNext(eventName, options = null) {
+    const throwOnTimeout = typeof options === 'object' && options !== null;
+    const {
+      timeout = null,
+      signal = null,
+      predicate = null,
+    } = throwOnTimeout ? options : { timeout: options };
+    const abort = RealtimeUtils.createAbortSignal(
+      { signal, timeout },
+      `waitForNext("${eventName}")`,
+    );
+    return new Promise((resolve, reject) => {
+      let unsubscribe = null;
+      const cleanup = () => {
+        abort.clear();
+        abort.signal.removeEventListener('abort', onAbort);
+        unsubscribe && unsubscribe();
+      };
+      const callback = (event) => {
+        try {
+          if (predicate && !predicate(event)) {
+            return;
+          }
+        } catch (e) {
+          cleanup();
+          reject(e);
+          return;
+        }
+        cleanup();
+        resolve(event);
+      };
+      const onAbort = () => {
+        cleanup();
+        if (abort.signal.reason.name === 'TimeoutError' && !throwOnTimeout) {
+          resolve(null);
+        } else {
+          reject(abort.signal.reason);
+        }
+      };
+      if (abort.signal.aborted) {
+        onAbort();
+      } else {
+        unsubscribe = this.on(eventName, callback);
+        abort.signal.addEventListener('abort', onAbort);
+      }
+    });
+  }
+
+  /**
+   * Streams events as an async iterable, e.g. `for await (const event of handler.events('server.*'))`
+   * Listening starts immediately and events are buffered until they are consumed
+   * The stream ends after a "close" event, when `signal` aborts or when the loop is exited
+   * @param {string} eventName The name of the event to stream, can contain wildcards
+   * @param {EventStreamOptionsType} [options]
+   * @returns {AsyncIterableIterator<{[key: string]: any}>}
+   */
+  events(
+    eventName,
+    { signal = null, bufferSize = 100, overflow = 'drop_oldest' } = {},
+  ) {
+    if (!['drop_oldest', 'drop_newest', 'error'].includes(overflow)) {
+      throw new Error(
+        `Invalid overflow "${overflow}": must be "drop_oldest", "drop_newest" or "error"`,
+      );
+    }
+    const buffer = [];
+    // Concurrent .next() calls wait in order
+    const waiting = [];
+    let done = false;
+    let failure = null;
+    const finish = (error = null) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      failure = error;
+      unsubscribe();
+      unsubscribeClose();
+      signal && signal.removeEventListener('abort', onAbort);
+      // Waiting means the buffer is empty, the error is only reported once
+      for (const { resolve, reject } of waiting.splice(0)) {
+        if (failure) {
+          reject(failure);
+          failure = null;
+        } else {
+          resolve({ value: undefined, done: true });
+        }
+      }
+    };
+    const onAbort = () => finish();
+    const unsubscribe = this.on(eventName, (event) => {
+      if (waiting.length) {
+        waiting.shift().resolve({ value: event, done: false });
+        return;
+      }
+      if (buffer.length >= bufferSize) {
+        if (overflow === 'drop_oldest') {
+          buffer.shift();
+        } else if (overflow === 'drop_newest') {
+          return;
+        } else {
+          finish(
+            new Error(
+              `Event stream overflow: more than ${bufferSize} "${eventName}" events buffered`,
+            ),
+          );
+          return;
+        }
+      }
+      buffer.push(event);
+    });
+    // Runs after any handler for "close" itself, so a streamed "close" is delivered first
+    const unsubscribeClose = this.on('close', () => finish(), {
+      priority: Number.MIN_SAFE_INTEGER,
+    });
+    if (signal) {
+      signal.aborted
+        ? finish()
+        : signal.addEventListener('abort', onAbort, { once: true });
+    }
+    return {
+      next() {
+        if (buffer.length) {
+          return Promise.resolve({ value: buffer.shift(), done: false });
+        } else if (done) {
+          const error = failure;
+          failure = null;
+          return error
+            ? Promise.reject(error)
+            : Promise.resolve({ value: undefined, done: true });
         }
+        return new Promise((resolve, reject) => {
+          waiting.push({ resolve, reject });
+        });
+      },
+      return() {
+        finish();
+        buffer.length = 0;
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  /**
+   * Tells us whether or not any handler would receive an event
+   * @private
+   * @param {string} eventName
+   * @returns {boolean}
+   */
+  _hasHandlers(eventName) {
+    return (
+      this._getHandlers(this.eventHandlers, eventName).length > 0 ||
+      this._getHandlers(this.nextEventHandlers, eventName).length > 0
+    );
+  }
+
+  /**
+   * Runs a handler, reporting exceptions and rejected promises as "handler.error" events
+   * Without "handler.error" listeners, or when those fail too, errors are logged to the console
+   * @private
+   * @param {EventHandlerEntryType} handler
+   * @param {string} eventName
+   * @param {any} event
+   * @returns {true}
+   */
+  _runHandler(handler, eventName, event) {
+    const report = (error) => {
+      if (
+        eventName === 'handler.error' ||
+        !this._hasHandlers('handler.error')
+      ) {
+        console.error(`Error in "${eventName}" handler:`, error);
+      } else {
+        this.dispatch('handler.error', { eventName, event, error });
+      }
+    };
+    try {
+      const result = handler.callback(event);
+      if (result && typeof result.then === 'function') {
+        result.then(null, report);
       }
-      await sleep(1);
+    } catch (error) {
+      report(error);
     }
-    return nextEvent;
+    return true;
   }
 
   /**
-   * Executes all events in the order they were added, with .on() event handlers executing before .onNext() handlers
+   * Executes all handlers for an event, including wildcard subscriptions, by priority and then in the order they were added,
+   * with .on() event handlers executing before .onNext() handlers
+   * A handler that throws or rejects does not stop the others, its error is dispatched as
+   * a "handler.error" event with `{eventName, event, error}`
+   * Event names containing "*" are subscriptions, not events, and are not dispatched:
+   * handlers for "server.*" already receive every "server.{type}" event
    * @param {string} eventName
    * @param {any} event
    * @returns {true}
    */
   dispatch(eventName, event) {
-    const handlers = [].concat(this.eventHandlers[eventName] || []);
+    if (eventName.includes('*')) {
+      return true;
+    }
+    const handlers = this._getHandlers(this.eventHandlers, eventName);
     for (const handler of handlers) {
-      handler(event);
+      this._runHandler(handler, eventName, event);
+    }
+    const nextHandlers = this._getHandlers(this.nextEventHandlers, eventName);
+    for (const nextHandler of nextHandlers) {
+      nextHandler.unsubscribe();
     }
-    const nextHandlers = [].concat(this.nextEventHandlers[eventName] || []);
     for (const nextHandler of nextHandlers) {
-      nextHandler(event);
+      this._runHandler(nextHandler, eventName, event);
     }
-    delete this.nextEventHandlers[eventName];
     return true;
   }
 }
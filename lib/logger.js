@@ -0,0 +1,249 @@
+/**
+ * Log levels, in increasing order of severity
+ * @typedef {"debug"|"info"|"warn"|"error"|"silent"} LogLevelType
+ */
+
+/**
+ * A logger to write to: a pino-style object with level methods called as `logger[level](fields, message)`,
+ * or a function called as `logger(level, message, fields)`, e.g. for winston
+ * @typedef {{debug: Function, info: Function, warn: Function, error: Function}|((level: string, message: string, fields: {[key: string]: any}) => any)} LoggerTargetType
+ */
+
+/**
+ * Settings for a RealtimeLogger
+ * `events` and `ignoreEvents` take event types, where a trailing "*" matches any suffix, e.g. "response.*"
+ * @typedef {Object} LoggerSettingsType
+ * @property {string} [name]
+ * @property {LoggerTargetType} [logger] Defaults to the console
+ * @property {LogLevelType} [level] Defaults to "debug"
+ * @property {boolean} [redact] Redact credentials, defaults to true
+ * @property {number|null} [maxPayloadLength] Truncate audio payloads to this many characters, null to disable
+ * @property {string[]|((event: {[key: string]: any}) => boolean)} [events] Only log these events
+ * @property {string[]} [ignoreEvents] Never log these events
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const CREDENTIAL_KEYS =
+  /^(api[-_]?key|authorization|client_secret|ephemeral_?key|token|password)$/i;
+const CREDENTIAL_PATTERNS = [
+  [/(openai-insecure-api-key\.)[^\s,"']+/g, '$1[REDACTED]'],
+  [/(Bearer\s+)[^\s,"']+/gi, '$1[REDACTED]'],
+  [/([?&](api-key|Authorization)=)[^&\s"']+/gi, '$1[REDACTED]'],
+];
+
+/**
+ * Structured logger that truncates audio payloads and redacts credentials
+ * @class
+ */
+export class RealtimeLogger {
+  /**
+   * Creates a RealtimeLogger for a component from its `logger` and `debug` settings
+   * Without a `logger`, logs to the console only when `debug` is set
+   * @param {RealtimeLogger|LoggerTargetType|null|undefined} logger
+   * @param {{name?: string, debug?: boolean}} [settings]
+   * @returns {RealtimeLogger}
+   */
+  static from(logger, { name, debug } = {}) {
+    if (logger instanceof RealtimeLogger) {
+      return logger;
+    }
+    return new RealtimeLogger({
+      name,
+      logger,
+      level: logger || debug ? 'debug' : 'silent',
+    });
+  }
+
+  /**
+   * Create a new RealtimeLogger instance
+   * @param {LoggerSettingsType} [settings]
+   * @returns {RealtimeLogger}
+   */
+  constructor({
+    name = 'Realtime',
+    logger = null,
+    level = 'debug',
+    redact = true,
+    maxPayloadLength = 64,
+    events = null,
+    ignoreEvents = [],
+  } = {}) {
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Invalid level "${level}", must be one of ${LEVELS}`);
+    }
+    this.name = name;
+    this.logger = logger;
+    this.level = level;
+    this.redact = redact;
+    this.maxPayloadLength = maxPayloadLength;
+    this.events = events;
+    this.ignoreEvents = ignoreEvents;
+  }
+
+  /**
+   * Tells us whether messages of a level would be written
+   * @param {LogLevelType} level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return (
+      level !== 'silent' && LEVELS.indexOf(level) >= LEVELS.indexOf(this.level)
+    );
+  }
+
+  /**
+   * Tells us whether an event passes the `events` and `ignoreEvents` filters
+   * @param {{[key: string]: any}} event
+   * @returns {boolean}
+   */
+  isEventEnabled(event) {
+    const matches = (pattern) =>
+      pattern.endsWith('*')
+        ? event.type.startsWith(pattern.slice(0, -1))
+        : event.type === pattern;
+    if (this.ignoreEvents.some(matches)) {
+      return false;
+    } else if (typeof this.events === 'function') {
+      return !!this.events(event);
+    } else if (Array.isArray(this.events)) {
+      return this.events.some(matches);
+    }
+    return true;
+  }
+
+  /**
+   * Copies a value, truncating audio payloads and redacting credentials
+   * @param {any} value
+   * @param {string} [key] The key the value is stored at
+   * @param {string} [type] The type of the object the value belongs to
+   * @returns {any}
+   */
+  sanitize(value, key = '', type = '') {
+    if (typeof value === 'string') {
+      if (this.redact && CREDENTIAL_KEYS.test(key)) {
+        return '[REDACTED]';
+      }
+      const isAudio =
+        key === 'audio' ||
+        (key === 'delta' &&
+          type.includes('audio') &&
+          !type.includes('transcript'));
+      if (
+        isAudio &&
+        this.maxPayloadLength !== null &&
+        value.length > this.maxPayloadLength
+      ) {
+        return `${value.slice(0, this.maxPayloadLength)}... (${value.length} chars)`;
+      }
+      if (this.redact) {
+        for (const [pattern, replacement] of CREDENTIAL_PATTERNS) {
+          value = value.replace(pattern, replacement);
+        }
+      }
+      return value;
+    } else if (Array.isArray(value)) {
+      return value.map((item) => this.sanitize(item, key, type));
+    } else if (value instanceof Error) {
+      return { message: this.sanitize(value.message), name: value.name };
+    } else if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+      return `[${value.constructor.name} (${value.byteLength} bytes)]`;
+    } else if (value && typeof value === 'object') {
+      if (this.redact && CREDENTIAL_KEYS.test(key)) {
+        return '[REDACTED]';
+      }
+      const objectType = typeof value.type === 'string' ? value.type : type;
+      const copy = {};
+      for (const k in value) {
+        copy[k] = this.sanitize(value[k], k, objectType);
+      }
+      return copy;
+    }
+    return value;
+  }
+
+  /**
+   * Writes a sanitized message to the logger
+   * @param {LogLevelType} level
+   * @param {string} message
+   * @param {{[key: string]: any}} [fields]
+   * @returns {true}
+   */
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return true;
+    }
+    message = this.sanitize(message);
+    fields = { name: this.name, ...this.sanitize(fields) };
+    if (typeof this.logger === 'function') {
+      this.logger(level, message, fields);
+    } else if (this.logger) {
+      this.logger[level](fields, message);
+    } else {
+      const date = new Date().toISOString();
+      const { name, ...rest } = fields;
+      const logs = [`[${name}/${date}]`, message];
+      if (Object.keys(rest).length) {
+        logs.push(JSON.stringify(rest, null, 2));
+      }
+      console[level === 'debug' ? 'log' : level](...logs);
+    }
+    return true;
+  }
+
+  /**
+   * Logs a debug message
+   * @param {string} message
+   * @param {{[key: string]: any}} [fields]
+   * @returns {true}
+   */
+  debug(message, fields) {
+    return this.write('debug', message, fields);
+  }
+
+  /**
+   * Logs an info message
+   * @param {string} message
+   * @param {{[key: string]: any}} [fields]
+   * @returns {true}
+   */
+  info(message, fields) {
+    return this.write('info', message, fields);
+  }
+
+  /**
+   * Logs a warning
+   * @param {string} message
+   * @param {{[key: string]: any}} [fields]
+   * @returns {true}
+   */
+  warn(message, fields) {
+    return this.write('warn', message, fields);
+  }
+
+  /**
+   * Logs an error
+   * @param {string} message
+   * @param {{[key: string]: any}} [fields]
+   * @returns {true}
+   */
+  error(message, fields) {
+    return this.write('error', message, fields);
+  }
+
+  /**
+   * Logs an event sent to or received from the server at debug level, if it passes the event filters
+   * @param {"sent"|"received"} direction
+   * @param {{[key: string]: any}} event
+   * @returns {true}
+   */
+  event(direction, event) {
+    if (this.isLevelEnabled('debug') && this.isEventEnabled(event)) {
+      this.write('debug', `${direction}: ${event.type}`, {
+        direction,
+        event_type: event.type,
+        event,
+      });
+    }
+    return true;
+  }
+}
@@ -0,0 +1,601 @@
+import { RealtimeEventHandler } from './event_handler.js';
+import { RealtimeLogger } from './logger.js';
+import { RealtimeUtils } from './utils.js';
+
+const sleep = (t) => new Promise((r) => setTimeout(() => r(), t));
+
+/**
+ * Scripted response for RealtimeMockServer to stream on `response.create`
+ * Provide `text` for a text response, `transcript` (and optionally `audio`) for an audio response
+ * and / or `functionCall` to have the model call a tool
+ * @typedef {Object} MockResponseScriptType
+ * @property {string} [text]
+ * @property {string} [transcript]
+ * @property {Int16Array} [audio] Defaults to silence, 100ms per transcript chunk
+ * @property {{name: string, arguments: string|{[key: string]: any}, call_id?: string}} [functionCall]
+ */
+
+/**
+ * Per-connection session state
+ * @typedef {Object} MockConnectionType
+ * @property {any} ws
+ * @property {{[key: string]: any}} session
+ * @property {string|null} lastItemId
+ * @property {number} inputAudioSamples
+ * @property {{id: string, cancelled: boolean}|null} activeResponse
+ */
+
+/**
+ * Local WebSocket server that speaks the Realtime API protocol, for offline testing
+ * Dispatches every received client event as "client.{eventName}" and "client.*"
+ * Node.js only
+ * @class
+ */
+export class RealtimeMockServer extends RealtimeEventHandler {
+  /**
+   * Create a new RealtimeMockServer instance
+   * If `apiKey` is set, connections must authenticate with it
+   * `delay` is the time in ms between streamed response events
+   * @param {{port?: number, apiKey?: string, delay?: number, debug?: boolean, logger?: RealtimeLogger|import('./logger.js').LoggerTargetType}} [settings]
+   * @returns {RealtimeMockServer}
+   */
+  constructor({ port = 0, apiKey, delay = 0, debug, logger } = {}) {
+    super();
+    this.port = port;
+    this.apiKey = apiKey || null;
+    this.delay = delay;
+    this.debug = !!debug;
+    this.logger = RealtimeLogger.from(logger, { name: 'MockServer', debug });
+    this.wss = null;
+    this.url = null;
+    this.defaultSession = {
+      object: 'realtime.session',
+      model: 'gpt-4o-realtime-preview-2024-10-01',
+      modalities: ['text', 'audio'],
+      instructions: '',
+      voice: 'verse',
+      input_audio_format: 'pcm16',
+      output_audio_format: 'pcm16',
+      input_audio_transcription: null,
+      turn_detection: null,
+      tools: [],
+      tool_choice: 'auto',
+      temperature: 0.8,
+      max_response_output_tokens: 4096,
+    };
+    this.defaultResponseText = 'Hello from the Realtime mock server.';
+    /** @type {MockResponseScriptType[]} */
+    this.responseScripts = [];
+    /** @type {MockConnectionType[]} */
+    this.connections = [];
+  }
+
+  /**
+   * Writes mock server logs to the logger, at debug level
+   * @param {string} message
+   * @param {{[key: string]: any}} [fields]
+   * @returns {true}
+   */
+  log(message, fields) {
+    return this.logger.debug(message, fields);
+  }
+
+  /**
+   * Starts listening for connections
+   * @returns {Promise<string>} The url to connect to
+   */
+  async listen() {
+    if (this.wss) {
+      throw new Error(`Already listening on "${this.url}"`);
+    }
+    const moduleName = 'ws';
+    const wsModule = await import(/* webpackIgnore: true */ moduleName);
+    const WebSocketServer = wsModule.WebSocketServer;
+    this.wss = new WebSocketServer({ port: this.port });
+    await new Promise((resolve, reject) => {
+      this.wss.once('listening', resolve);
+      this.wss.once('error', reject);
+    });
+    this.url = `ws://localhost:${this.wss.address().port}`;
+    this.wss.on('connection', (ws, request) =>
+      this._handleConnection(ws, request),
+    );
+    this.log(`Listening on "${this.url}"`);
+    return this.url;
+  }
+
+  /**
+   * Closes all connections and stops listening
+   * @returns {Promise<true>}
+   */
+  async close() {
+    if (this.wss) {
+      for (const connection of this.connections) {
+        connection.ws.terminate();
+      }
+      this.connections = [];
+      await new Promise((resolve) => this.wss.close(() => resolve()));
+      this.wss = null;
+      this.url = null;
+    }
+    return true;
+  }
+
+  /**
+   * Queues a scripted response, used by the next `response.create`
+   * Without queued scripts, responses echo `defaultResponseText` in the session's modality
+   * @param {MockResponseScriptType} script
+   * @returns {true}
+   */
+  queueResponse(script) {
+    this.responseScripts.push(script);
+    return true;
+  }
+
+  /**
+   * Sets up session state for a new connection
+   * @private
+   * @param {any} ws
+   * @param {any} request
+   * @returns {true}
+   */
+  _handleConnection(ws, request) {
+    /** @type {MockConnectionType} */
+    const connection = {
+      ws,
+      session: {
+        id: RealtimeUtils.generateId('sess_'),
+        ...JSON.parse(JSON.stringify(this.defaultSession)),
+      },
+      lastItemId: null,
+      inputAudioSamples: 0,
+      activeResponse: null,
+    };
+    const model = new URL(request.url, 'ws://localhost').searchParams.get(
+      'model',
+    );
+    if (model) {
+      connection.session.model = model;
+    }
+    this.connections.push(connection);
+    ws.on('close', () => {
+      const index = this.connections.indexOf(connection);
+      if (index > -1) {
+        this.connections.splice(index, 1);
+      }
+    });
+    if (this.apiKey) {
+      const protocols = (request.headers['sec-websocket-protocol'] || '')
+        .split(',')
+        .map((p) => p.trim());
+      const keys = [
+        (request.headers['authorization'] || '').replace(/^Bearer /, ''),
+        (
+          protocols.find((p) => p.startsWith('openai-insecure-api-key.')) || ''
+        ).slice('openai-insecure-api-key.'.length),
+      ];
+      if (!keys.includes(this.apiKey)) {
+        this._sendError(
+          connection,
+          'invalid_api_key',
+          'Incorrect API key provided',
+        );
+        ws.close(1000);
+        return true;
+      }
+    }
+    ws.on('message', (data) => {
+      let event;
+      try {
+        event = JSON.parse(data.toString());
+      } catch (e) {
+        this._sendError(connection, 'invalid_json', 'Could not parse event');
+        return;
+      }
+      this.logger.event('received', event);
+      this.dispatch(`client.${event.type}`, event);
+      this._handleEvent(connection, event);
+    });
+    this._send(connection, 'session.created', { session: connection.session });
+    return true;
+  }
+
+  /**
+   * Sends a server event to a connection
+   * @private
+   * @param {MockConnectionType} connection
+   * @param {string} eventName
+   * @param {{[key: string]: any}} [data]
+   * @returns {true}
+   */
+  _send(connection, eventName, data = {}) {
+    const event = {
+      event_id: RealtimeUtils.generateId('event_'),
+      type: eventName,
+      ...data,
+    };
+    this.logger.event('sent', event);
+    if (connection.ws.readyState === 1) {
+      connection.ws.send(JSON.stringify(event));
+    }
+    return true;
+  }
+
+  /**
+   * Sends an "error" server event to a connection
+   * @private
+   * @param {MockConnectionType} connection
+   * @param {string} code
+   * @param {string} message
+   * @param {string|null} [eventId] The client event that caused the error
+   * @returns {true}
+   */
+  _sendError(connection, code, message, eventId = null) {
+    return this._send(connection, 'error', {
+      error: {
+        type: 'invalid_request_error',
+        code,
+        message,
+        param: null,
+        event_id: eventId,
+      },
+    });
+  }
+
+  /**
+   * Appends an item to the connection's conversation and sends "conversation.item.created"
+   * @private
+   * @param {MockConnectionType} connection
+   * @param {{[key: string]: any}} item
+   * @returns {{[key: string]: any}}
+   */
+  _createItem(connection, item) {
+    const previous_item_id = connection.lastItemId;
+    connection.lastItemId = item.id;
+    this._send(connection, 'conversation.item.created', {
+      previous_item_id,
+      item,
+    });
+    return item;
+  }
+
+  /**
+   * Handles a client event
+   * @private
+   * @param {MockConnectionType} connection
+   * @param {{[key: string]: any}} event
+   * @returns {true}
+   */
+  _handleEvent(connection, event) {
+    switch (event.type) {
+      case 'session.update': {
+        Object.assign(connection.session, event.session || {});
+        this._send(connection, 'session.updated', {
+          session: connection.session,
+        });
+        break;
+      }
+      case 'conversation.item.create': {
+        const item = JSON.parse(JSON.stringify(event.item || {}));
+        const content = (item.content || []).map((c) => {
+          if (c.type === 'input_audio') {
+            // The server never sends audio back
+            return { type: 'input_audio', transcript: null };
+          }
+          return c;
+        });
+        this._createItem(connection, {
+          ...item,
+          id: item.id || RealtimeUtils.generateId('item_'),
+          object: 'realtime.item',
+          status: 'completed',
+          ...(item.content ? { content } : {}),
+        });
+        break;
+      }
+      case 'conversation.item.delete': {
+        this._send(connection, 'conversation.item.deleted', {
+          item_id: event.item_id,
+        });
+        break;
+      }
+      case 'conversation.item.truncate': {
+        this._send(connection, 'conversation.item.truncated', {
+          item_id: event.item_id,
+          content_index: event.content_index,
+          audio_end_ms: event.audio_end_ms,
+        });
+        break;
+      }
+      case 'input_audio_buffer.append': {
+        const byteLength = RealtimeUtils.base64ToArrayBuffer(
+          event.audio || '',
+        ).byteLength;
+        connection.inputAudioSamples += byteLength / 2;
+        break;
+      }
+      case 'input_audio_buffer.commit': {
+        if (!connection.inputAudioSamples) {
+          this._sendError(
+            connection,
+            'input_audio_buffer_commit_empty',
+            'Error committing input audio buffer: the buffer is empty.',
+            event.event_id,
+          );
+          break;
+        }
+        const item_id = RealtimeUtils.generateId('item_');
+        connection.inputAudioSamples = 0;
+        this._send(connection, 'input_audio_buffer.committed', {
+          previous_item_id: connection.lastItemId,
+          item_id,
+        });
+        this._createItem(connection, {
+          id: item_id,
+          object: 'realtime.item',
+          type: 'message',
+          status: 'completed',
+          role: 'user',
+          content: [{ type: 'input_audio', transcript: null }],
+        });
+        break;
+      }
+      case 'input_audio_buffer.clear': {
+        connection.inputAudioSamples = 0;
+        this._send(connection, 'input_audio_buffer.cleared');
+        break;
+      }
+      case 'response.create': {
+        if (connection.activeResponse) {
+          this._sendError(
+            connection,
+            'conversation_already_has_active_response',
+            'Conversation already has an active response',
+            event.event_id,
+          );
+          break;
+        }
+        const script =
+          this.responseScripts.shift() ||
+          (connection.session.modalities.includes('audio')
+            ? { transcript: this.defaultResponseText }
+            : { text: this.defaultResponseText });
+        this._streamResponse(connection, script);
+        break;
+      }
+      case 'response.cancel': {
+        if (!connection.activeResponse) {
+          this._sendError(
+            connection,
+            'response_cancel_not_active',
+            'Cancellation failed: no active response found',
+            event.event_id,
+          );
+          break;
+        }
+        connection.activeResponse.cancelled = true;
+        break;
+      }
+      default: {
+        this._sendError(
+          connection,
+          'unknown_event',
+          `Unknown event type "${event.type}"`,
+          event.event_id,
+        );
+        break;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Streams the events for a scripted response
+   * @private
+   * @param {MockConnectionType} connection
+   * @param {MockResponseScriptType} script
+   * @returns {Promise<true>}
+   */
+  async _streamResponse(connection, script) {
+    const response = {
+      id: RealtimeUtils.generateId('resp_'),
+      object: 'realtime.response',
+      status: 'in_progress',
+      status_details: null,
+      output: [],
+      usage: null,
+    };
+    const activeResponse = { id: response.id, cancelled: false };
+    connection.activeResponse = activeResponse;
+    const usage = { text: 0, audio: 0 };
+    const events = [];
+    // Snapshot each event, since items and responses keep changing as we build them
+    const emit = (eventName, data) =>
+      events.push([eventName, JSON.parse(JSON.stringify(data))]);
+    const chunkText = (text) => text.match(/\S+\s*|\s+/g) || [];
+
+    emit('response.created', { response: { ...response } });
+    const output_index = () => response.output.length;
+    if (script.text || script.transcript) {
+      const isAudio = !!script.transcript;
+      const item = {
+        id: RealtimeUtils.generateId('item_'),
+        object: 'realtime.item',
+        type: 'message',
+        status: 'in_progress',
+        role: 'assistant',
+        content: [],
+      };
+      const part = isAudio
+        ? { type: 'audio', transcript: '' }
+        : { type: 'text', text: '' };
+      const base = { response_id: response.id, item_id: item.id };
+      const index = { output_index: output_index(), content_index: 0 };
+      emit('response.output_item.added', {
+        response_id: response.id,
+        output_index: index.output_index,
+        item: { ...item },
+      });
+      emit('conversation.item.created', { item: { ...item } });
+      emit('response.content_part.added', { ...base, ...index, part });
+      if (isAudio) {
+        const chunks = chunkText(script.transcript);
+        const audio = script.audio || new Int16Array(chunks.length * 2400);
+        const audioChunkSize = Math.ceil(audio.length / chunks.length) || 1;
+        for (let i = 0; i < chunks.length; i++) {
+          const audioChunk = audio.slice(
+            i * audioChunkSize,
+            (i + 1) * audioChunkSize,
+          );
+          emit('response.audio.delta', {
+            ...base,
+            ...index,
+            delta: RealtimeUtils.arrayBufferToBase64(audioChunk),
+          });
+          emit('response.audio_transcript.delta', {
+            ...base,
+            ...index,
+            delta: chunks[i],
+          });
+        }
+        usage.audio += chunks.length;
+        emit('response.audio.done', { ...base, ...index });
+        emit('response.audio_transcript.done', {
+          ...base,
+          ...index,
+          transcript: script.transcript,
+        });
+        item.content = [{ type: 'audio', transcript: script.transcript }];
+      } else {
+        const chunks = chunkText(script.text);
+        for (const chunk of chunks) {
+          emit('response.text.delta', { ...base, ...index, delta: chunk });
+        }
+        usage.text += chunks.length;
+        emit('response.text.done', { ...base, ...index, text: script.text });
+        item.content = [{ type: 'text', text: script.text }];
+      }
+      emit('response.content_part.done', {
+        ...base,
+        ...index,
+        part: item.content[0],
+      });
+      item.status = 'completed';
+      emit('response.output_item.done', {
+        response_id: response.id,
+        output_index: index.output_index,
+        item,
+      });
+      response.output.push(item);
+    }
+    if (script.functionCall) {
+      const args =
+        typeof script.functionCall.arguments === 'string'
+          ? script.functionCall.arguments
+          : JSON.stringify(script.functionCall.arguments || {});
+      const item = {
+        id: RealtimeUtils.generateId('item_'),
+        object: 'realtime.item',
+        type: 'function_call',
+        status: 'in_progress',
+        name: script.functionCall.name,
+        call_id:
+          script.functionCall.call_id || RealtimeUtils.generateId('call_'),
+        arguments: '',
+      };
+      const base = {
+        response_id: response.id,
+        item_id: item.id,
+        output_index: output_index(),
+        call_id: item.call_id,
+      };
+      emit('response.output_item.added', {
+        response_id: response.id,
+        output_index: base.output_index,
+        item: { ...item },
+      });
+      emit('conversation.item.created', { item: { ...item } });
+      const chunks = args.match(/.{1,8}/gs) || [];
+      for (const chunk of chunks) {
+        emit('response.function_call_arguments.delta', {
+          ...base,
+          delta: chunk,
+        });
+      }
+      usage.text += chunks.length;
+      emit('response.function_call_arguments.done', {
+        ...base,
+        arguments: args,
+      });
+      item.status = 'completed';
+      item.arguments = args;
+      emit('response.output_item.done', {
+        response_id: response.id,
+        output_index: base.output_index,
+        item,
+      });
+      response.output.push(item);
+    }
+
+    // Output items as last sent, a cancelled response only lists these
+    const sentOutput = {};
+    for (const [eventName, data] of events) {
+      // Always yield, so "response.cancel" is handled between events
+      await (this.delay ? sleep(this.delay) : new Promise(setImmediate));
+      if (activeResponse.cancelled) {
+        break;
+      }
+      if (eventName.startsWith('response.output_item.')) {
+        sentOutput[data.item.id] = data.item;
+      }
+      if (eventName === 'conversation.item.created') {
+        this._createItem(connection, data.item);
+      } else {
+        this._send(connection, eventName, data);
+      }
+    }
+
+    connection.activeResponse = null;
+    const input_tokens = 0;
+    const output_tokens = usage.text + usage.audio;
+    if (activeResponse.cancelled) {
+      response.status = 'cancelled';
+      response.status_details = {
+        type: 'cancelled',
+        reason: 'client_cancelled',
+      };
+      response.output = Object.values(sentOutput).map((item) =>
+        item.status === 'completed' ? item : { ...item, status: 'incomplete' },
+      );
+    } else {
+      response.status = 'completed';
+    }
+    response.usage = {
+      total_tokens: input_tokens + output_tokens,
+      input_tokens,
+      output_tokens,
+      input_token_details: {
+        cached_tokens: 0,
+        text_tokens: 0,
+        audio_tokens: 0,
+      },
+      output_token_details: {
+        text_tokens: usage.text,
+        audio_tokens: usage.audio,
+      },
+    };
+    this._send(connection, 'response.done', { response });
+    this._send(connection, 'rate_limits.updated', {
+      rate_limits: [
+        { name: 'requests', limit: 1000, remaining: 999, reset_seconds: 0.06 },
+        {
+          name: 'tokens',
+          limit: 100000,
+          remaining: 100000 - output_tokens,
+          reset_seconds: 0.6,
+        },
+      ],
+    });
+    return true;
+  }
+}
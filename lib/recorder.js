@@ -0,0 +1,101 @@
+/**
+ * A single recorded event, in the same shape as the RealtimeClient "realtime.event" event
+ * @typedef {Object} RealtimeRecordType
+ * @property {string} time ISO timestamp
+ * @property {"client"|"server"} source
+ * @property {{[key: string]: any}} event
+ */
+
+/**
+ * Records every client and server event of a RealtimeClient session as JSONL
+ * @class
+ */
+export class RealtimeRecorder {
+  /**
+   * Create a new RealtimeRecorder instance
+   * If `stream` is provided, e.g. a Node.js WriteStream, each record is written to it as a JSONL line
+   * @param {{stream?: {write: (chunk: string) => any}}} [settings]
+   * @returns {RealtimeRecorder}
+   */
+  constructor({ stream } = {}) {
+    this.stream = stream || null;
+    /** @type {RealtimeRecordType[]} */
+    this.records = [];
+    this.client = null;
+    this.handler = null;
+  }
+
+  /**
+   * Parses a JSONL recording into records
+   * @param {string} jsonl
+   * @returns {RealtimeRecordType[]}
+   */
+  static parseJSONL(jsonl) {
+    return jsonl
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Starts recording the "realtime.event" stream of a RealtimeClient
+   * @param {import('./client.js').RealtimeClient} client
+   * @returns {true}
+   */
+  attach(client) {
+    if (this.client) {
+      throw new Error(`Already attached, use .detach() first`);
+    }
+    this.client = client;
+    this.handler = client.on('realtime.event', (realtimeEvent) =>
+      this.record(realtimeEvent),
+    );
+    return true;
+  }
+
+  /**
+   * Stops recording
+   * @returns {true}
+   */
+  detach() {
+    if (this.client) {
+      this.client.off('realtime.event', this.handler);
+      this.client = null;
+      this.handler = null;
+    }
+    return true;
+  }
+
+  /**
+   * Adds a record to the recording
+   * @param {RealtimeRecordType} realtimeEvent
+   * @returns {RealtimeRecordType}
+   */
+  record({ time, source, event }) {
+    // Copy the event, RealtimeConversation keeps references to parts of it and mutates them
+    const line = JSON.stringify({ time, source, event });
+    const record = JSON.parse(line);
+    this.records.push(record);
+    if (this.stream) {
+      this.stream.write(`${line}\n`);
+    }
+    return record;
+  }
+
+  /**
+   * Clears all records
+   * @returns {true}
+   */
+  clear() {
+    this.records = [];
+    return true;
+  }
+
+  /**
+   * Serializes the recording as JSONL, one record per line
+   * @returns {string}
+   */
+  toJSONL() {
+    return this.records.map((record) => `${JSON.stringify(record)}\n`).join('');
+  }
+}
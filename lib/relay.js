@@ -0,0 +1,313 @@
+import { RealtimeAPI } from './api.js';
+import { RealtimeUtils } from './utils.js';
+import { RealtimeLogger } from './logger.js';
+
+/**
+ * A browser connection to the relay and its upstream RealtimeAPI connection
+ * @typedef {Object} RelayConnectionType
+ * @property {string} id
+ * @property {any} request The HTTP upgrade request
+ * @property {any} ws The browser WebSocket
+ * @property {RealtimeAPI} realtime The upstream connection
+ */
+
+/**
+ * Inspects an event and returns it, a rewritten event, or null to block it
+ * @typedef {(event: {[key: string]: any}, connection: RelayConnectionType) => {[key: string]: any}|null|Promise<{[key: string]: any}|null>} RelayEventHookType
+ */
+
+/**
+ * Relays browser WebSocket connections to the Realtime API using the server's API key
+ * Node.js only
+ * @class
+ */
+export class RealtimeRelay {
+  /**
+   * Create a new RealtimeRelay instance
+   * Listens on `port`, or on an existing HTTP `server` if provided
+   * Upstream connections use `model`, a browser can only pick another one with a `?model=`
+   * query parameter if it is in `allowedModels`
+   * `authorize` can reject browser connections based on the upgrade request,
+   * or return `{model}` to choose the model for the connection
+   * `onClientEvent` and `onServerEvent` can inspect, rewrite or block (by returning null) events
+   * `logger` is also used by the upstream connections
+   * @param {{apiKey?: string, url?: string, azure?: import('./api.js').AzureSettingsType, model?: string, port?: number, server?: any, path?: string, debug?: boolean, logger?: RealtimeLogger|import('./logger.js').LoggerTargetType, allowedModels?: string[], authorize?: (request: any) => boolean|{model?: string}|Promise<boolean|{model?: string}>, onClientEvent?: RelayEventHookType, onServerEvent?: RelayEventHookType}} [settings]
+   * @returns {RealtimeRelay}
+   */
+  constructor({
+    apiKey,
+    url,
+    azure,
+    model = 'gpt-4o-realtime-preview-2024-10-01',
+    port = 0,
+    server,
+    path,
+    debug,
+    logger,
+    allowedModels = [],
+    authorize,
+    onClientEvent,
+    onServerEvent,
+  } = {}) {
+    this.apiKey = apiKey || null;
+    this.upstreamUrl = url;
+    this.azure = azure;
+    this.model = model;
+    this.allowedModels = allowedModels;
+    this.port = port;
+    this.server = server || null;
+    this.path = path;
+    this.debug = !!debug;
+    this.logger = RealtimeLogger.from(logger, { name: 'Relay', debug });
+    this.upstreamLogger = logger || null;
+    this.authorize = authorize || null;
+    this.onClientEvent = onClientEvent || null;
+    this.onServerEvent = onServerEvent || null;
+    this.wss = null;
+    this.url = null;
+    /** @type {RelayConnectionType[]} */
+    this.connections = [];
+  }
+
+  /**
+   * Writes relay logs to the logger, at debug level
+   * @param {string} message
+   * @param {{[key: string]: any}} [fields]
+   * @returns {true}
+   */
+  log(message, fields) {
+    return this.logger.debug(message, fields);
+  }
+
+  /**
+   * Starts accepting browser connections
+   * @returns {Promise<string|null>} The url to connect to, null when attached to an existing server
+   */
+  async listen() {
+    if (this.wss) {
+      throw new Error(`Already listening`);
+    }
+    const moduleName = 'ws';
+    const wsModule = await import(/* webpackIgnore: true */ moduleName);
+    const WebSocketServer = wsModule.WebSocketServer;
+    if (this.server) {
+      this.wss = new WebSocketServer({ server: this.server, path: this.path });
+    } else {
+      this.wss = new WebSocketServer({ port: this.port, path: this.path });
+      await new Promise((resolve, reject) => {
+        this.wss.once('listening', resolve);
+        this.wss.once('error', reject);
+      });
+      this.url = `ws://localhost:${this.wss.address().port}${this.path || ''}`;
+      this.log(`Listening on "${this.url}"`);
+    }
+    this.wss.on('connection', (ws, request) =>
+      this._handleConnection(ws, request),
+    );
+    return this.url;
+  }
+
+  /**
+   * Closes all browser and upstream connections and stops listening
+   * @returns {Promise<true>}
+   */
+  async close() {
+    if (this.wss) {
+      for (const connection of this.connections) {
+        connection.realtime.disconnect();
+        connection.ws.terminate();
+      }
+      this.connections = [];
+      await new Promise((resolve) => this.wss.close(() => resolve()));
+      this.wss = null;
+      this.url = null;
+    }
+    return true;
+  }
+
+  /**
+   * Sends an "error" event to the browser
+   * @private
+   * @param {RelayConnectionType} connection
+   * @param {string} code
+   * @param {string} message
+   * @param {string|null} [eventId] The client event that caused the error
+   * @returns {true}
+   */
+  _sendError(connection, code, message, eventId = null) {
+    this._sendToBrowser(connection, {
+      event_id: RealtimeUtils.generateId('event_'),
+      type: 'error',
+      error: {
+        type: 'invalid_request_error',
+        code,
+        message,
+        param: null,
+        event_id: eventId,
+      },
+    });
+    return true;
+  }
+
+  /**
+   * Sends an event to the browser, if it is still connected
+   * @private
+   * @param {RelayConnectionType} connection
+   * @param {{[key: string]: any}} event
+   * @returns {true}
+   */
+  _sendToBrowser(connection, event) {
+    if (connection.ws.readyState === 1) {
+      connection.ws.send(JSON.stringify(event));
+    }
+    return true;
+  }
+
+  /**
+   * Authorizes a browser connection, opens the upstream connection and forwards events both ways
+   * Events are processed in order per connection, even with async hooks
+   * @private
+   * @param {any} ws
+   * @param {any} request
+   * @returns {Promise<true>}
+   */
+  async _handleConnection(ws, request) {
+    /** @type {RelayConnectionType} */
+    const connection = {
+      id: RealtimeUtils.generateId('relay_'),
+      request,
+      ws,
+      realtime: new RealtimeAPI({
+        url: this.upstreamUrl,
+        apiKey: this.apiKey,
+        azure: this.azure,
+        debug: this.debug,
+        logger: this.upstreamLogger,
+      }),
+    };
+    this.connections.push(connection);
+    this.log(`Browser connected (${connection.id})`);
+
+    // Each direction is processed in order, browser events are also
+    // buffered until we are authorized and connected upstream
+    const createQueue = () => {
+      let queue = Promise.resolve();
+      return (fn) => {
+        queue = queue.then(fn).catch((e) => {
+          // Details stay in our logs, they may include upstream or hook internals
+          this.logger.error(`Error (${connection.id})`, { error: e });
+          this._sendError(connection, 'relay_error', 'Could not relay event');
+        });
+      };
+    };
+    const enqueueClientEvent = createQueue();
+    const enqueueServerEvent = createQueue();
+    ws.on('message', (data) => {
+      enqueueClientEvent(async () => {
+        let event;
+        try {
+          event = JSON.parse(data.toString());
+        } catch (e) {
+          this._sendError(connection, 'invalid_json', 'Could not parse event');
+          return;
+        }
+        if (!connection.realtime.isConnected()) {
+          return;
+        }
+        const relayEvent = this.onClientEvent
+          ? await this.onClientEvent(event, connection)
+          : event;
+        if (!relayEvent) {
+          this.log(`Blocked client event (${connection.id})`, {
+            event_type: event.type,
+          });
+          this._sendError(
+            connection,
+            'event_blocked',
+            `Event "${event.type}" was blocked by the relay`,
+            event.event_id || null,
+          );
+          return;
+        }
+        connection.realtime.send(relayEvent.type, relayEvent);
+      });
+    });
+    ws.on('close', () => {
+      this.log(`Browser disconnected (${connection.id})`);
+      connection.realtime.disconnect();
+      const index = this.connections.indexOf(connection);
+      if (index > -1) {
+        this.connections.splice(index, 1);
+      }
+    });
+
+    connection.realtime.on('server.*', (event) => {
+      enqueueServerEvent(async () => {
+        const relayEvent = this.onServerEvent
+          ? await this.onServerEvent(event, connection)
+          : event;
+        if (relayEvent) {
+          this._sendToBrowser(connection, relayEvent);
+        }
+      });
+    });
+    connection.realtime.on('close', ({ error }) => {
+      if (ws.readyState === 1) {
+        ws.close(error ? 1011 : 1000);
+      }
+    });
+
+    enqueueClientEvent(async () => {
+      const authorization = this.authorize
+        ? await this.authorize(request)
+        : true;
+      if (!authorization) {
+        this.log(`Browser connection not authorized (${connection.id})`);
+        ws.close(1008, 'Unauthorized');
+        return;
+      }
+      // The browser is billed to our API key, so it can't pick any model it likes
+      const requestedModel = new URL(
+        request.url,
+        'ws://localhost',
+      ).searchParams.get('model');
+      let model = this.model;
+      if (typeof authorization === 'object' && authorization.model) {
+        model = authorization.model;
+      } else if (requestedModel && requestedModel !== this.model) {
+        if (!this.allowedModels.includes(requestedModel)) {
+          this.log(`Model not allowed (${connection.id})`, {
+            model: requestedModel,
+          });
+          this._sendError(
+            connection,
+            'model_not_allowed',
+            `Model "${requestedModel}" is not allowed by the relay`,
+          );
+          ws.close(1008, 'Model not allowed');
+          return;
+        }
+        model = requestedModel;
+      }
+      try {
+        await connection.realtime.connect({ model });
+      } catch (e) {
+        this.logger.error(`Could not connect upstream (${connection.id})`, {
+          error: e,
+        });
+        this._sendError(
+          connection,
+          'upstream_connection_failed',
+          'Could not connect to the Realtime API',
+        );
+        ws.close(1011);
+        return;
+      }
+      if (ws.readyState !== 1) {
+        // Browser left while we were connecting
+        connection.realtime.disconnect();
+      }
+    });
+    return true;
+  }
+}
@@ -0,0 +1,133 @@
+import { RealtimeTransport } from './transport.js';
+import { RealtimeRecorder } from './recorder.js';
+import { RealtimeUtils } from './utils.js';
+
+const sleep = (t) => new Promise((r) => setTimeout(() => r(), t));
+
+/**
+ * Transport that replays the server events of a recording made with RealtimeRecorder
+ * Sent events are dispatched locally as "client.*" events but go nowhere
+ * Dispatches "replay.done" once the last server event has been replayed,
+ * the transport stays connected until .disconnect() is called
+ * @class
+ */
+export class RealtimeReplayTransport extends RealtimeTransport {
+  /**
+   * Create a new RealtimeReplayTransport instance
+   * `speed` is a multiplier of the original timing, e.g. 1 for original speed or 10 for 10x
+   * Without `speed`, events are replayed in order as fast as possible
+   * @param {{recording: string|import('./recorder.js').RealtimeRecordType[], speed?: number|null}} settings
+   * @returns {RealtimeReplayTransport}
+   */
+  constructor({ recording, speed = null } = {}) {
+    super();
+    if (!recording) {
+      throw new Error(`Missing "recording"`);
+    }
+    this.records =
+      typeof recording === 'string'
+        ? RealtimeRecorder.parseJSONL(recording)
+        : recording;
+    if (speed !== null && !(speed > 0)) {
+      throw new Error(`"speed" must be a positive number`);
+    }
+    this.speed = speed;
+    this.connected = false;
+    this.replayId = 0;
+  }
+
+  /**
+   * Tells us whether or not the replay is in progress
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Starts replaying server events, after the returned promise resolves
+   * @returns {Promise<true>}
+   */
+  async connect() {
+    if (this.isConnected()) {
+      throw new Error(`Already connected`);
+    }
+    this.connected = true;
+    this._replay(++this.replayId);
+    return true;
+  }
+
+  /**
+   * Stops the replay, dispatching "close" if it was in progress
+   * @returns {true}
+   */
+  disconnect() {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.replayId++;
+    if (wasConnected) {
+      this.dispatch('close', { error: false });
+    }
+    return true;
+  }
+
+  /**
+   * Replays all server records in order, honoring `speed`
+   * @private
+   * @param {number} replayId
+   * @returns {Promise<true>}
+   */
+  async _replay(replayId) {
+    const records = this.records.filter((r) => r.source === 'server');
+    const t0 = records.length ? Date.parse(records[0].time) : 0;
+    const start = Date.now();
+    // Let connect() resolve before any events are dispatched
+    await sleep(0);
+    for (const record of records) {
+      if (this.speed) {
+        const target = start + (Date.parse(record.time) - t0) / this.speed;
+        const wait = target - Date.now();
+        if (wait > 0) {
+          await sleep(wait);
+        }
+      }
+      if (this.replayId !== replayId) {
+        return true;
+      }
+      // Copy the event, RealtimeConversation mutates it and records can be replayed again
+      const event = JSON.parse(JSON.stringify(record.event));
+      this._applyMiddleware('incoming', event, (e) =>
+        this.dispatch(`server.${e.type}`, e),
+      );
+    }
+    // Let middleware finish with the last events first
+    await this.middlewareQueues.incoming;
+    this.dispatch('replay.done', { count: records.length });
+    return true;
+  }
+
+  /**
+   * Dispatches an event as "client.{eventName}" and "client.*" events without sending it
+   * @param {string} eventName
+   * @param {{[key: string]: any}} [data]
+   * @returns {true}
+   */
+  send(eventName, data) {
+    if (!this.isConnected()) {
+      throw new Error(`RealtimeReplayTransport is not connected`);
+    }
+    data = data || {};
+    if (typeof data !== 'object') {
+      throw new Error(`data must be an object`);
+    }
+    const event = {
+      event_id: RealtimeUtils.generateId('evt_'),
+      type: eventName,
+      ...data,
+    };
+    this._applyMiddleware('outgoing', event, (e) =>
+      this.dispatch(`client.${e.type}`, e),
+    );
+    return true;
+  }
+}
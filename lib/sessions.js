@@ -0,0 +1,132 @@
+import { RealtimeWebRTC } from './webrtc.js';
+import { RealtimeLogger } from './logger.js';
+
+/**
+ * An ephemeral session key, in the shape RealtimeClient expects from `fetchEphemeralKeyUrl`
+ * @typedef {Object} EphemeralSessionType
+ * @property {string} ephemeral_key
+ * @property {number} expires_at Unix timestamp, in seconds
+ * @property {{[key: string]: any}} session The session created by the Realtime API
+ */
+
+/**
+ * Server-side settings to create ephemeral sessions with
+ * @typedef {Object} SessionsSettingsType
+ * @property {string} apiKey
+ * @property {string} [url] Defaults to "https://api.openai.com/v1/realtime/sessions"
+ * @property {typeof fetch} [fetch] Defaults to the global `fetch`
+ */
+
+/**
+ * Creates ephemeral Realtime API sessions with the server's API key
+ * Node.js (server-side) only
+ * @class
+ */
+export class RealtimeSessions {
+  static defaultUrl = 'https://api.openai.com/v1/realtime/sessions';
+  static defaultModel = 'gpt-4o-realtime-preview-2024-10-01';
+
+  /**
+   * Creates a session and returns its ephemeral key
+   * `sessionConfig` is validated with the same rules as RealtimeWebRTC.connect()
+   * @param {{[key: string]: any}} [sessionConfig]
+   * @param {SessionsSettingsType} settings
+   * @returns {Promise<EphemeralSessionType>}
+   */
+  static async create(sessionConfig = {}, { apiKey, url, fetch } = {}) {
+    if (globalThis.document) {
+      throw new Error(
+        `RealtimeSessions can not be used in the browser, it requires your API key`,
+      );
+    }
+    if (!apiKey) {
+      throw new Error(`Missing "apiKey"`);
+    }
+    RealtimeWebRTC.validateSessionConfig(sessionConfig);
+    const response = await (fetch || globalThis.fetch)(url || this.defaultUrl, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'OpenAI-Beta': 'realtime=v1',
+      },
+      body: JSON.stringify({ model: this.defaultModel, ...sessionConfig }),
+    });
+    if (!response.ok) {
+      let message = `${response.status} ${response.statusText}`;
+      try {
+        const data = await response.json();
+        if (data.error?.message) {
+          message = `${message}: ${data.error.message}`;
+        }
+      } catch (e) {
+        // Not a JSON error body, the status is all we have
+      }
+      throw new Error(`Failed to create session: ${message}`);
+    }
+    const { client_secret, ...session } = await response.json();
+    if (!client_secret?.value) {
+      throw new Error(`Response missing client_secret field`);
+    }
+    return {
+      ephemeral_key: client_secret.value,
+      expires_at: client_secret.expires_at,
+      session,
+    };
+  }
+
+  /**
+   * Creates a Node.js HTTP request handler for a `fetchEphemeralKeyUrl` endpoint
+   * Works with `http.createServer()` and Express-style routers
+   * Only GET and POST requests (or `methods`) create sessions, others get a 405
+   * `sessionConfig` can be a function of the incoming request
+   * Errors are logged to `logger`, the browser only gets a generic message
+   * @param {SessionsSettingsType & {sessionConfig?: {[key: string]: any}|((request: any) => {[key: string]: any}|Promise<{[key: string]: any}>), methods?: string[], debug?: boolean, logger?: RealtimeLogger|import('./logger.js').LoggerTargetType}} settings
+   * @returns {(request: any, response: any) => Promise<true>}
+   */
+  static createRequestHandler({
+    apiKey,
+    url,
+    fetch,
+    sessionConfig = {},
+    methods = ['GET', 'POST'],
+    debug,
+    logger,
+  } = {}) {
+    if (!apiKey) {
+      throw new Error(`Missing "apiKey"`);
+    }
+    const sessionsLogger = RealtimeLogger.from(logger, {
+      name: 'Sessions',
+      debug,
+    });
+    return async (request, response) => {
+      if (!methods.includes(request.method)) {
+        response.writeHead(405, {
+          'Content-Type': 'application/json',
+          Allow: methods.join(', '),
+        });
+        response.end(
+          JSON.stringify({ error: { message: 'Method not allowed' } }),
+        );
+        return true;
+      }
+      let status = 200;
+      let body;
+      try {
+        const config =
+          typeof sessionConfig === 'function'
+            ? await sessionConfig(request)
+            : sessionConfig;
+        body = await this.create(config, { apiKey, url, fetch });
+      } catch (e) {
+        sessionsLogger.error(`Could not create session`, { error: e });
+        status = 500;
+        body = { error: { message: 'Could not create session' } };
+      }
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+      return true;
+    };
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Speaker labels by role
+ * @typedef {{user?: string, assistant?: string, system?: string, tool?: string}} TranscriptLabelsType
+ */
+
+/**
+ * A time-coded caption, times are in milliseconds
+ * @typedef {Object} CaptionCueType
+ * @property {number} start
+ * @property {number} end
+ * @property {string} speaker
+ * @property {string} text
+ */
+
+/**
+ * Exports RealtimeConversation transcripts as Markdown, SRT or WebVTT
+ * @class
+ */
+export class RealtimeTranscript {
+  static defaultLabels = {
+    user: 'User',
+    assistant: 'Assistant',
+    system: 'System',
+    tool: 'Tool',
+  };
+
+  /**
+   * Gets the readable text of an item, preferring text over the audio transcript
+   * @param {import('./client.js').ItemType} item
+   * @returns {string}
+   */
+  static getItemText(item) {
+    const formatted = item.formatted || {};
+    return (formatted.text || formatted.transcript || '').trim();
+  }
+
+  /**
+   * Exports a conversation as a Markdown transcript, with tool calls inline
+   * @param {import('./conversation.js').RealtimeConversation} conversation
+   * @param {{title?: string|null, labels?: TranscriptLabelsType}} [options] Use a `title` of null to leave out the heading
+   * @returns {string}
+   */
+  static toMarkdown(conversation, { title = 'Transcript', labels = {} } = {}) {
+    labels = { ...this.defaultLabels, ...labels };
+    const items = conversation.getItems();
+    const toolNames = {};
+    const lines = [];
+    if (title) {
+      lines.push(`# ${title}`, '');
+    }
+    for (const item of items) {
+      if (item.type === 'message') {
+        const text = this.getItemText(item);
+        if (text) {
+          lines.push(`**${labels[item.role] || item.role}:** ${text}`, '');
+        }
+      } else if (item.type === 'function_call') {
+        toolNames[item.call_id] = item.name;
+        lines.push(
+          `> **${labels.assistant}** called \`${item.name}\` with \`${item.arguments}\``,
+          '',
+        );
+      } else if (item.type === 'function_call_output') {
+        const name = toolNames[item.call_id] || item.call_id;
+        lines.push(
+          `> **${labels.tool}** \`${name}\` returned \`${item.output}\``,
+          '',
+        );
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Creates caption cues for message items with audio, laid out back to back
+   * Item timing comes from audio sample counts at the conversation's `defaultFrequency`,
+   * long items are split into cues of up to `maxCueLength` characters
+   * @param {import('./conversation.js').RealtimeConversation} conversation
+   * @param {{labels?: TranscriptLabelsType, maxCueLength?: number}} [options]
+   * @returns {CaptionCueType[]}
+   */
+  static getCues(conversation, { labels = {}, maxCueLength = 84 } = {}) {
+    labels = { ...this.defaultLabels, ...labels };
+    const cues = [];
+    let time = 0;
+    for (const item of conversation.getItems()) {
+      const samples = item.formatted?.audioBuffer?.length || 0;
+      if (item.type !== 'message' || !samples) {
+        continue;
+      }
+      const duration = (samples / conversation.defaultFrequency) * 1000;
+      const text = this.getItemText(item);
+      if (text) {
+        const speaker = labels[item.role] || item.role;
+        const chunks = this._splitText(text, maxCueLength);
+        const totalLength = chunks.reduce((sum, c) => sum + c.length, 0);
+        let start = time;
+        for (const chunk of chunks) {
+          const end = start + (duration * chunk.length) / totalLength;
+          cues.push({ start, end, speaker, text: chunk });
+          start = end;
+        }
+      }
+      time += duration;
+    }
+    return cues;
+  }
+
+  /**
+   * Exports a conversation as SRT captions
+   * @param {import('./conversation.js').RealtimeConversation} conversation
+   * @param {{labels?: TranscriptLabelsType, maxCueLength?: number}} [options]
+   * @returns {string}
+   */
+  static toSRT(conversation, options) {
+    return this.getCues(conversation, options)
+      .map(
+        ({ start, end, speaker, text }, i) =>
+          `${i + 1}\n` +
+          `${this._formatTime(start, ',')} --> ${this._formatTime(end, ',')}\n` +
+          `${speaker}: ${text}\n`,
+      )
+      .join('\n');
+  }
+
+  /**
+   * Exports a conversation as WebVTT captions, with voice spans for speakers
+   * @param {import('./conversation.js').RealtimeConversation} conversation
+   * @param {{labels?: TranscriptLabelsType, maxCueLength?: number}} [options]
+   * @returns {string}
+   */
+  static toWebVTT(conversation, options) {
+    const cues = this.getCues(conversation, options).map(
+      ({ start, end, speaker, text }) =>
+        `${this._formatTime(start, '.')} --> ${this._formatTime(end, '.')}\n` +
+        `<v ${speaker}>${text.replace(/&/g, '&amp;').replace(/</g, '&lt;')}\n`,
+    );
+    return ['WEBVTT\n', ...cues].join('\n');
+  }
+
+  /**
+   * Formats milliseconds as a caption timestamp, e.g. "00:01:02,500"
+   * @private
+   * @param {number} ms
+   * @param {"."|","} separator
+   * @returns {string}
+   */
+  static _formatTime(ms, separator) {
+    ms = Math.round(ms);
+    const pad = (n, length = 2) => `${n}`.padStart(length, '0');
+    const hours = Math.floor(ms / 3_600_000);
+    const minutes = Math.floor((ms % 3_600_000) / 60_000);
+    const seconds = Math.floor((ms % 60_000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+  }
+
+  /**
+   * Splits text into chunks of whole words, up to `maxLength` characters where possible
+   * @private
+   * @param {string} text
+   * @param {number} maxLength
+   * @returns {string[]}
+   */
+  static _splitText(text, maxLength) {
+    const chunks = [];
+    let chunk = '';
+    for (const word of text.split(/\s+/)) {
+      if (chunk && chunk.length + word.length + 1 > maxLength) {
+        chunks.push(chunk);
+        chunk = word;
+      } else {
+        chunk = chunk ? `${chunk} ${word}` : word;
+      }
+    }
+    if (chunk) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+}
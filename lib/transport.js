@@ -0,0 +1,153 @@
+import { RealtimeEventHandler } from './event_handler.js';
+
+/**
+ * Middleware function, called with each event in order of registration
+ * Returns the event (or nothing) to pass it on unchanged, a modified event, an array of events to inject events,
+ * or null to drop it, optionally as a Promise to delay it
+ * @typedef {(event: {[key: string]: any}, context: {direction: "incoming"|"outgoing", transport: RealtimeTransport}) => any} MiddlewareFunctionType
+ */
+
+/**
+ * Middleware for incoming (server) and outgoing (client) events, or a single function for both
+ * @typedef {{incoming?: MiddlewareFunctionType, outgoing?: MiddlewareFunctionType}|MiddlewareFunctionType} MiddlewareType
+ */
+
+/**
+ * Base class for transports used by RealtimeClient, e.g. RealtimeAPI and RealtimeWebRTC
+ * Transports must dispatch received events as "server.{eventName}",
+ * sent events as "client.{eventName}",
+ * and a "close" event with `{ error: boolean }` when the connection ends
+ * Subscribers to "server.*" and "client.*" receive them through wildcard matching
+ * @class
+ */
+export class RealtimeTransport extends RealtimeEventHandler {
+  /**
+   * Create a new RealtimeTransport instance
+   * @returns {RealtimeTransport}
+   */
+  constructor() {
+    super();
+    /** @type {{incoming?: MiddlewareFunctionType, outgoing?: MiddlewareFunctionType}[]} */
+    this.middlewares = [];
+    this.middlewareQueues = { incoming: null, outgoing: null };
+  }
+
+  /**
+   * Adds middleware that sees every outgoing event before it is sent,
+   * and every incoming event before it is dispatched
+   * @param {MiddlewareType} middleware
+   * @returns {() => true} Removes the middleware
+   */
+  use(middleware) {
+    if (typeof middleware === 'function') {
+      middleware = { incoming: middleware, outgoing: middleware };
+    }
+    if (
+      !middleware ||
+      (typeof middleware.incoming !== 'function' &&
+        typeof middleware.outgoing !== 'function')
+    ) {
+      throw new Error(
+        `Middleware must be a function or have "incoming" or "outgoing" functions`,
+      );
+    }
+    this.middlewares.push(middleware);
+    return () => {
+      const index = this.middlewares.indexOf(middleware);
+      index > -1 && this.middlewares.splice(index, 1);
+      return true;
+    };
+  }
+
+  /**
+   * Runs an event through middleware, then calls `deliver` with each resulting event
+   * Without middleware, `deliver` is called synchronously
+   * Otherwise events are processed in order per direction, even when middleware is async,
+   * and errors are dispatched as "middleware.error" events with `{direction, event, error}`
+   * Transports call this from .send() and when they receive events
+   * @private
+   * @param {"incoming"|"outgoing"} direction
+   * @param {{[key: string]: any}} event
+   * @param {(event: {[key: string]: any}) => any} deliver
+   * @returns {true}
+   */
+  _applyMiddleware(direction, event, deliver) {
+    const middlewares = this.middlewares.filter((m) => m[direction]);
+    if (!middlewares.length && !this.middlewareQueues[direction]) {
+      deliver(event);
+      return true;
+    }
+    const context = { direction, transport: this };
+    const queue = (this.middlewareQueues[direction] || Promise.resolve())
+      .then(async () => {
+        let events = [event];
+        for (const middleware of middlewares) {
+          const nextEvents = [];
+          for (const e of events) {
+            const result = await middleware[direction](e, context);
+            if (result === undefined) {
+              nextEvents.push(e);
+            } else if (Array.isArray(result)) {
+              nextEvents.push(...result);
+            } else if (result) {
+              nextEvents.push(result);
+            }
+          }
+          events = nextEvents;
+        }
+        for (const e of events) {
+          deliver(e);
+        }
+      })
+      .catch((error) => {
+        if (this._hasHandlers('middleware.error')) {
+          this.dispatch('middleware.error', { direction, event, error });
+        } else {
+          console.error(`Error in ${direction} middleware:`, error);
+        }
+      })
+      .then(() => {
+        if (this.middlewareQueues[direction] === queue) {
+          this.middlewareQueues[direction] = null;
+        }
+      });
+    this.middlewareQueues[direction] = queue;
+    return true;
+  }
+
+  /**
+   * Tells us whether or not the transport is connected
+   * @returns {boolean}
+   */
+  isConnected() {
+    throw new Error(`${this.constructor.name} must implement isConnected()`);
+  }
+
+  /**
+   * Connects to the Realtime server
+   * RealtimeClient calls this with `ephemeralKey` and `sessionConfig` for custom transports
+   * @param {{[key: string]: any}} [settings]
+   * @returns {Promise<true>}
+   */
+  async connect(settings) {
+    throw new Error(`${this.constructor.name} must implement connect()`);
+  }
+
+  /**
+   * Disconnects from the Realtime server
+   * @returns {true}
+   */
+  disconnect() {
+    throw new Error(`${this.constructor.name} must implement disconnect()`);
+  }
+
+  /**
+   * Sends an event to the Realtime server
+   * @param {string} eventName
+   * @param {{[key: string]: any}} [data]
+   * @returns {true}
+   */
+  send(eventName, data) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Token usage of a response, or cumulative usage of a session, in the shape of `response.done` usage
+ * @typedef {Object} UsageType
+ * @property {number} total_tokens
+ * @property {number} input_tokens
+ * @property {number} output_tokens
+ * @property {{cached_tokens: number, text_tokens: number, audio_tokens: number, cached_tokens_details: {text_tokens: number, audio_tokens: number}}} input_token_details
+ * @property {{text_tokens: number, audio_tokens: number}} output_token_details
+ */
+
+/**
+ * Prices for a model, in dollars per million tokens
+ * @typedef {Object} ModelPricesType
+ * @property {{input: number, cached_input: number, output: number}} text
+ * @property {{input: number, cached_input: number, output: number}} audio
+ */
+
+/**
+ * Estimated cost, in dollars
+ * @typedef {Object} CostType
+ * @property {number} input Uncached input tokens
+ * @property {number} cached_input
+ * @property {number} output
+ * @property {number} total
+ */
+
+/**
+ * Usage and estimated cost of a single response
+ * @typedef {Object} UsageRecordType
+ * @property {string} response_id
+ * @property {string|null} model
+ * @property {{[key: string]: any}|null} metadata The response metadata, e.g. to attribute costs
+ * @property {UsageType} usage
+ * @property {CostType|null} cost null when there are no prices for the model
+ */
+
+/**
+ * Accumulates token usage from `response.done` events and estimates costs from a price table
+ * @class
+ */
+export class RealtimeUsage {
+  /**
+   * Prices per model, in dollars per million tokens
+   * @type {{[model: string]: ModelPricesType}}
+   */
+  static defaultPrices = {
+    'gpt-4o-realtime-preview-2024-10-01': {
+      text: { input: 5, cached_input: 2.5, output: 20 },
+      audio: { input: 100, cached_input: 20, output: 200 },
+    },
+    'gpt-4o-realtime-preview-2024-12-17': {
+      text: { input: 5, cached_input: 2.5, output: 20 },
+      audio: { input: 40, cached_input: 2.5, output: 80 },
+    },
+    'gpt-4o-mini-realtime-preview-2024-12-17': {
+      text: { input: 0.6, cached_input: 0.3, output: 2.4 },
+      audio: { input: 10, cached_input: 0.3, output: 20 },
+    },
+  };
+
+  /**
+   * Create a new RealtimeUsage instance
+   * `prices` are merged with the default prices, per model
+   * Only the last `maxRecords` records are kept, null keeps all of them
+   * @param {{model?: string|null, prices?: {[model: string]: ModelPricesType}, maxRecords?: number|null}} [settings]
+   * @returns {RealtimeUsage}
+   */
+  constructor({ model = null, prices = {}, maxRecords = 100 } = {}) {
+    this.model = model;
+    this.prices = { ...RealtimeUsage.defaultPrices, ...prices };
+    this.maxRecords = maxRecords;
+    this.reset();
+  }
+
+  /**
+   * Creates empty usage
+   * @returns {UsageType}
+   */
+  static createUsage() {
+    return {
+      total_tokens: 0,
+      input_tokens: 0,
+      output_tokens: 0,
+      input_token_details: {
+        cached_tokens: 0,
+        text_tokens: 0,
+        audio_tokens: 0,
+        cached_tokens_details: { text_tokens: 0, audio_tokens: 0 },
+      },
+      output_token_details: { text_tokens: 0, audio_tokens: 0 },
+    };
+  }
+
+  /**
+   * Copies usage from a `response.done` event into the full UsageType shape
+   * When the server does not split cached tokens by modality, they are counted as text
+   * @param {{[key: string]: any}|null} usage
+   * @returns {UsageType}
+   */
+  static normalizeUsage(usage) {
+    const result = this.createUsage();
+    if (!usage) {
+      return result;
+    }
+    const input = usage.input_token_details || {};
+    const output = usage.output_token_details || {};
+    const cached = input.cached_tokens_details || {
+      text_tokens: input.cached_tokens || 0,
+      audio_tokens: 0,
+    };
+    result.input_tokens = usage.input_tokens || 0;
+    result.output_tokens = usage.output_tokens || 0;
+    result.total_tokens =
+      usage.total_tokens || result.input_tokens + result.output_tokens;
+    result.input_token_details.cached_tokens = input.cached_tokens || 0;
+    result.input_token_details.text_tokens = input.text_tokens || 0;
+    result.input_token_details.audio_tokens = input.audio_tokens || 0;
+    result.input_token_details.cached_tokens_details.text_tokens =
+      cached.text_tokens || 0;
+    result.input_token_details.cached_tokens_details.audio_tokens =
+      cached.audio_tokens || 0;
+    result.output_token_details.text_tokens = output.text_tokens || 0;
+    result.output_token_details.audio_tokens = output.audio_tokens || 0;
+    return result;
+  }
+
+  /**
+   * Clears the cumulative usage and cost
+   * @returns {true}
+   */
+  reset() {
+    this.usage = RealtimeUsage.createUsage();
+    /** @type {CostType|null} */
+    this.cost = null;
+    /** @type {UsageRecordType[]} */
+    this.records = [];
+    return true;
+  }
+
+  /**
+   * Estimates the cost of usage, null when there are no prices for the model
+   * @param {UsageType} usage
+   * @param {string|null} [model] Defaults to the session model
+   * @returns {CostType|null}
+   */
+  getCost(usage, model = this.model) {
+    const prices = model && this.prices[model];
+    if (!prices) {
+      return null;
+    }
+    const { input_token_details: input, output_token_details: output } = usage;
+    const cached = input.cached_tokens_details;
+    const perToken = (price) => price / 1_000_000;
+    const cost = {
+      input:
+        (input.text_tokens - cached.text_tokens) * perToken(prices.text.input) +
+        (input.audio_tokens - cached.audio_tokens) *
+          perToken(prices.audio.input),
+      cached_input:
+        cached.text_tokens * perToken(prices.text.cached_input) +
+        cached.audio_tokens * perToken(prices.audio.cached_input),
+      output:
+        output.text_tokens * perToken(prices.text.output) +
+        output.audio_tokens * perToken(prices.audio.output),
+      total: 0,
+    };
+    cost.total = cost.input + cost.cached_input + cost.output;
+    return cost;
+  }
+
+  /**
+   * Adds the usage of a finished response to the session totals
+   * @param {{[key: string]: any}} response The response from a `response.done` event
+   * @returns {UsageRecordType}
+   */
+  record(response) {
+    const usage = RealtimeUsage.normalizeUsage(response.usage);
+    const cost = this.getCost(usage);
+    const add = (total, value) => {
+      for (const key in value) {
+        if (typeof value[key] === 'number') {
+          total[key] += value[key];
+        } else {
+          add(total[key], value[key]);
+        }
+      }
+    };
+    add(this.usage, usage);
+    if (cost) {
+      this.cost = this.cost || {
+        input: 0,
+        cached_input: 0,
+        output: 0,
+        total: 0,
+      };
+      add(this.cost, cost);
+    }
+    /** @type {UsageRecordType} */
+    const record = {
+      response_id: response.id,
+      model: this.model,
+      metadata: response.metadata || null,
+      usage,
+      cost,
+    };
+    this.records.push(record);
+    if (this.maxRecords !== null && this.records.length > this.maxRecords) {
+      // Totals are kept in `usage` and `cost`, so old records can go
+      this.records.splice(0, this.records.length - this.maxRecords);
+    }
+    return record;
+  }
+}
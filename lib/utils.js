@@ -1,3 +1,5 @@
+import { RealtimeAbortError, RealtimeTimeoutError } from './errors.js';
+
 const atob = globalThis.atob;
 const btoa = globalThis.btoa;
 
@@ -84,6 +86,95 @@ export class RealtimeUtils {
     return newValues;
   }
 
+  /**
+   * Encodes PCM16 audio as a WAV file
+   * Multi-channel audio must be interleaved, Float32Arrays are converted to PCM16 first
+   * @param {Int16Array|Float32Array|ArrayBuffer} audio
+   * @param {{sampleRate?: number, channels?: number}} [options]
+   * @returns {ArrayBuffer}
+   */
+  static encodeWav(audio, { sampleRate = 24_000, channels = 1 } = {}) {
+    if (audio instanceof Float32Array) {
+      audio = new Int16Array(this.floatTo16BitPCM(audio));
+    } else if (audio instanceof ArrayBuffer) {
+      audio = new Int16Array(audio);
+    }
+    const dataSize = audio.length * 2;
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    const writeString = (offset, string) => {
+      for (let i = 0; i < string.length; i++) {
+        view.setUint8(offset + i, string.charCodeAt(i));
+      }
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * channels * 2, true); // byte rate
+    view.setUint16(32, channels * 2, true); // block align
+    view.setUint16(34, 16, true); // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+    for (let i = 0; i < audio.length; i++) {
+      view.setInt16(44 + i * 2, audio[i], true);
+    }
+    return buffer;
+  }
+
+  /**
+   * Creates a signal that aborts when `signal` aborts or `timeout` elapses
+   * Its reason is a RealtimeAbortError or RealtimeTimeoutError describing `operation`,
+   * or the reason of `signal` if it already is one
+   * Call `clear()` once the operation settles to stop the timer
+   * @param {{signal?: AbortSignal|null, timeout?: number|null}} settings
+   * @param {string} operation e.g. 'connect()'
+   * @returns {{signal: AbortSignal, clear: () => void}}
+   */
+  static createAbortSignal({ signal = null, timeout = null } = {}, operation) {
+    const controller = new AbortController();
+    let timer = null;
+    const onAbort = () => {
+      // Signals created here pass their reason on as is
+      const reason = signal.reason;
+      controller.abort(
+        reason instanceof RealtimeAbortError ||
+          reason instanceof RealtimeTimeoutError
+          ? reason
+          : new RealtimeAbortError(`${operation} was aborted`, {
+              cause: reason,
+            }),
+      );
+    };
+    const clear = () => {
+      clearTimeout(timer);
+      signal && signal.removeEventListener('abort', onAbort);
+    };
+    controller.signal.addEventListener('abort', clear, { once: true });
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+    if (timeout && !controller.signal.aborted) {
+      timer = setTimeout(() => {
+        controller.abort(
+          new RealtimeTimeoutError(
+            `${operation} timed out after ${timeout}ms`,
+            { timeout },
+          ),
+        );
+      }, timeout);
+    }
+    return { signal: controller.signal, clear };
+  }
+
   /**
    * Generates an id to send with events and messages
    * @param {string} prefix
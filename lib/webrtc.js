@@ -1,15 +1,18 @@
-import { RealtimeEventHandler } from './event_handler.js';
+import { RealtimeTransport } from './transport.js';
 import { RealtimeUtils } from './utils.js';
+import { RealtimeLogger } from './logger.js';
 
-export class RealtimeWebRTC extends RealtimeEventHandler {
+export class RealtimeWebRTC extends RealtimeTransport {
   /**
    * Create a new RealtimeWebRTC instance
-   * @param {{debug?: boolean}} [settings]
+   * `logger` receives sanitized logs, `debug` logs to the console when no `logger` is provided
+   * @param {{debug?: boolean, logger?: RealtimeLogger|import('./logger.js').LoggerTargetType}} [settings]
    * @returns {RealtimeWebRTC}
    */
-  constructor({ debug } = {}) {
+  constructor({ debug, logger } = {}) {
     super();
     this.debug = !!debug;
+    this.logger = RealtimeLogger.from(logger, { name: 'WebRTC', debug });
     this.pc = null;
     this.dc = null;
     this.baseUrl = 'https://api.openai.com/v1/realtime';
@@ -17,6 +20,36 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
     this.audioElement = null;
   }
 
+  /**
+   * Validates the audio settings of a session config, when the audio modality is enabled
+   * Throws on invalid audio formats or voices
+   * @param {{[key: string]: any}} [sessionConfig]
+   * @returns {true}
+   */
+  static validateSessionConfig(sessionConfig = {}) {
+    if (!sessionConfig.modalities?.includes('audio')) {
+      return true;
+    }
+    const validInputFormats = ['pcm16', 'g711_ulaw', 'g711_alaw'];
+    const validOutputFormats = ['pcm16', 'g711_ulaw', 'g711_alaw'];
+    const validVoices = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+
+    const inputFormat = sessionConfig.input_audio_format || 'pcm16';
+    const outputFormat = sessionConfig.output_audio_format || 'pcm16';
+    const voice = sessionConfig.voice || 'verse';
+
+    if (!validInputFormats.includes(inputFormat)) {
+      throw new Error(`Invalid input_audio_format: ${inputFormat}`);
+    }
+    if (!validOutputFormats.includes(outputFormat)) {
+      throw new Error(`Invalid output_audio_format: ${outputFormat}`);
+    }
+    if (!validVoices.includes(voice)) {
+      throw new Error(`Invalid voice: ${voice}`);
+    }
+    return true;
+  }
+
   /**
    * Tells us whether or not the WebRTC connection is established
    * @returns {boolean}
@@ -26,31 +59,44 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
   }
 
   /**
-   * Writes WebRTC logs to console
-   * @param  {...any} args
+   * Writes WebRTC logs to the logger, at debug level
+   * @param {string} message
+   * @param {{[key: string]: any}} [fields]
    * @returns {true}
    */
-  log(...args) {
-    const date = new Date().toISOString();
-    const logs = [`[WebRTC/${date}]`].concat(args).map((arg) => {
-      if (typeof arg === 'object' && arg !== null) {
-        return JSON.stringify(arg, null, 2);
-      } else {
-        return arg;
+  log(message, fields) {
+    return this.logger.debug(message, fields);
+  }
+
+  /**
+   * Connects to Realtime API WebRTC Server
+   * Rejects with a RealtimeTimeoutError or RealtimeAbortError, closing the connection, when `timeout` elapses or `signal` aborts
+   * @param {{model?: string, ephemeralKey?: string, sessionConfig?: {[key: string]: any}, timeout?: number|null, signal?: AbortSignal|null}} [settings]
+   * @returns {Promise<true>}
+   */
+  async connect({ timeout = null, signal = null, ...settings } = {}) {
+    const abort = RealtimeUtils.createAbortSignal({ signal, timeout }, 'connect()');
+    try {
+      return await this._connect(settings, abort.signal);
+    } catch (error) {
+      if (abort.signal.aborted) {
+        this.disconnect();
+        throw abort.signal.reason;
       }
-    });
-    if (this.debug) {
-      console.log(...logs);
+      throw error;
+    } finally {
+      abort.clear();
     }
-    return true;
   }
 
   /**
-   * Connects to Realtime API WebRTC Server
-   * @param {{model?: string, ephemeralKey?: string}} [settings]
+   * Sets up the peer connection and data channel, and waits for them to connect
+   * @private
+   * @param {{model?: string, ephemeralKey?: string, sessionConfig?: {[key: string]: any}}} settings
+   * @param {AbortSignal} signal
    * @returns {Promise<true>}
    */
-  async connect({ model = 'gpt-4o-realtime-preview-2024-10-01', ephemeralKey, sessionConfig = {} } = {}) {
+  async _connect({ model = 'gpt-4o-realtime-preview-2024-10-01', ephemeralKey, sessionConfig = {} }, signal) {
     if (this.isConnected()) {
       throw new Error('Already connected');
     }
@@ -68,23 +114,11 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
     // Set up audio if it's enabled in modalities
     if (sessionConfig.modalities?.includes('audio')) {
       // Validate audio format settings
-      const validInputFormats = ['pcm16', 'g711_ulaw', 'g711_alaw'];
-      const validOutputFormats = ['pcm16', 'g711_ulaw', 'g711_alaw'];
-      const validVoices = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
-      
+      RealtimeWebRTC.validateSessionConfig(sessionConfig);
+
       const inputFormat = sessionConfig.input_audio_format || 'pcm16';
       const outputFormat = sessionConfig.output_audio_format || 'pcm16';
       const voice = sessionConfig.voice || 'verse';
-      
-      if (!validInputFormats.includes(inputFormat)) {
-        throw new Error(`Invalid input_audio_format: ${inputFormat}`);
-      }
-      if (!validOutputFormats.includes(outputFormat)) {
-        throw new Error(`Invalid output_audio_format: ${outputFormat}`);
-      }
-      if (!validVoices.includes(voice)) {
-        throw new Error(`Invalid voice: ${voice}`);
-      }
 
       try {
         // Configure audio constraints based on format
@@ -106,7 +140,7 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
         });
 
         // Log audio format configuration
-        this.log('Audio configured:', {
+        this.log('Audio configured', {
           inputFormat,
           outputFormat,
           voice,
@@ -128,7 +162,7 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
             // PCM16 is the native browser format, no additional configuration needed
           } else if (outputFormat === 'g711_ulaw' || outputFormat === 'g711_alaw') {
             // These formats should be automatically handled by the browser's audio stack
-            this.log('Using compressed audio format:', outputFormat);
+            this.log('Using compressed audio format', { outputFormat });
           }
 
           this.audioElement.play().catch(error => {
@@ -144,12 +178,13 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
     this.dc.onmessage = (event) => {
       try {
         const message = JSON.parse(event.data);
-        this.log('received:', message.type, message);
-        // Use the same dispatch pattern as WebSocket implementation
-        this.dispatch(`server.${message.type}`, message);
-        this.dispatch('server.*', message);
+        this._applyMiddleware('incoming', message, (e) => {
+          this.logger.event('received', e);
+          // Use the same dispatch pattern as WebSocket implementation
+          this.dispatch(`server.${e.type}`, e);
+        });
       } catch (error) {
-        this.log('Error processing message:', error);
+        this.logger.error('Error processing message', { error });
         this.dispatch('error', {
           type: 'invalid_message',
           message: 'Failed to parse message from server',
@@ -170,7 +205,8 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
         'Content-Type': 'application/sdp',
         'OpenAI-Beta': 'realtime=v1'
       },
-      body: this.pc.localDescription.sdp
+      body: this.pc.localDescription.sdp,
+      signal
     });
 
     if (!response.ok) {
@@ -186,13 +222,24 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
 
     // Wait for connection to be established
     return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clear();
+        reject(signal.reason);
+      };
       const connectionTimeout = setTimeout(() => {
+        clear();
         reject(new Error('Connection timeout'));
       }, 10000);
+      // Stops waiting, removing the abort listener so `signal` can be reused
+      const clear = () => {
+        clearTimeout(connectionTimeout);
+        signal.removeEventListener('abort', onAbort);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
 
       const checkConnection = () => {
         if (this.isConnected()) {
-          clearTimeout(connectionTimeout);
+          clear();
           this.log('Connected to OpenAI Realtime API via WebRTC');
           
           // Set up connection state change handler
@@ -207,8 +254,10 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
           };
 
           resolve(true);
+        } else if (signal.aborted) {
+          return;
         } else if (this.pc.connectionState === 'failed') {
-          clearTimeout(connectionTimeout);
+          clear();
           reject(new Error('Connection failed'));
         } else {
           setTimeout(checkConnection, 100);
@@ -220,10 +269,11 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
   }
 
   /**
-   * Disconnects from Realtime API server
+   * Disconnects from Realtime API server, dispatching "close" if we were connected
    * @returns {true}
    */
   disconnect() {
+    const wasConnected = this.isConnected();
     // Clean up audio resources
     if (this.audioStream) {
       this.audioStream.getTracks().forEach(track => track.stop());
@@ -244,11 +294,15 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
       this.pc.close();
       this.pc = null;
     }
+    if (wasConnected) {
+      this.dispatch('close', { error: false });
+    }
     return true;
   }
 
   /**
    * Sends an event to WebRTC data channel and dispatches as "client.{eventName}" and "client.*" events
+   * The event passes through middleware first, see .use()
    * @param {string} eventName
    * @param {{[key: string]: any}} data
    * @returns {true}
@@ -265,15 +319,20 @@ export class RealtimeWebRTC extends RealtimeEventHandler {
       type: eventName,
       ...data,
     };
-    this.dispatch(`client.${eventName}`, event);
-    this.dispatch('client.*', event);
-    this.log('sent:', eventName, event);
-    try {
-      this.dc.send(JSON.stringify(event));
-    } catch (error) {
-      this.log('Error sending message:', error);
-      throw new Error(`Failed to send message: ${error.message}`);
-    }
+    this._applyMiddleware('outgoing', event, (e) => {
+      if (!this.isConnected()) {
+        this.logger.warn(`Disconnected, dropped event "${e.type}"`);
+        return;
+      }
+      this.dispatch(`client.${e.type}`, e);
+      this.logger.event('sent', e);
+      try {
+        this.dc.send(JSON.stringify(e));
+      } catch (error) {
+        this.logger.error('Error sending message', { error });
+        throw new Error(`Failed to send message: ${error.message}`);
+      }
+    });
     return true;
   }
 }
@@ -1,14 +1,24 @@
 import * as chai from 'chai';
 const expect = chai.expect;
 
-import { RealtimeAPI } from '../../index.js';
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+
+import { RealtimeAPI, RealtimeMockServer } from '../../index.js';
 
 export async function run() {
   describe('RealtimeAPI', ({ debug = false } = {}) => {
+    let server;
     let realtime;
 
+    before(async () => {
+      server = new RealtimeMockServer({ apiKey: 'mock-key', debug });
+      await server.listen();
+    });
+
     it('Should instantiate the RealtimeAPI with no apiKey', () => {
       realtime = new RealtimeAPI({
+        url: server.url,
         debug,
       });
 
@@ -17,8 +27,9 @@ export async function run() {
     });
 
     it('Should fail to connect to the RealtimeAPI with no apiKey', async () => {
+      const nextError = realtime.waitForNext('server.error', 1000);
       await realtime.connect();
-      const event = await realtime.waitForNext('server.error', 1000);
+      const event = await nextError;
 
       expect(event).to.exist;
       expect(event.error).to.exist;
@@ -27,12 +38,13 @@ export async function run() {
 
     it('Should instantiate the RealtimeAPI', () => {
       realtime = new RealtimeAPI({
-        apiKey: process.env.OPENAI_API_KEY,
+        url: server.url,
+        apiKey: 'mock-key',
         debug,
       });
 
       expect(realtime).to.exist;
-      expect(realtime.apiKey).to.equal(process.env.OPENAI_API_KEY);
+      expect(realtime.apiKey).to.equal('mock-key');
     });
 
     it('Should connect to the RealtimeAPI', async () => {
@@ -48,8 +60,174 @@ export async function run() {
       expect(realtime.isConnected()).to.equal(false);
     });
 
-    after(() => {
+    after(async () => {
+      realtime.isConnected() && realtime.disconnect();
+      await server.close();
+    });
+  });
+
+  describe('RealtimeAPI (local server)', () => {
+    let realtime;
+    let wss;
+    let url;
+    let upgradeRequest;
+
+    before(async () => {
+      wss = new WebSocketServer({ port: 0 });
+      await new Promise((resolve) => wss.on('listening', resolve));
+      wss.on('connection', (ws, request) => (upgradeRequest = request));
+      url = `ws://localhost:${wss.address().port}/v1/realtime`;
+    });
+
+    afterEach(() => {
       realtime.isConnected() && realtime.disconnect();
+      upgradeRequest = null;
+    });
+
+    after(async () => {
+      await new Promise((resolve) => wss.close(resolve));
+    });
+
+    it('Should connect to the configured url and model', async () => {
+      realtime = new RealtimeAPI({ url, apiKey: 'test-key' });
+      await realtime.connect({ model: 'test-model' });
+      await new Promise((r) => setTimeout(r, 10));
+
+      expect(upgradeRequest).to.exist;
+      expect(upgradeRequest.url).to.equal('/v1/realtime?model=test-model');
+      expect(upgradeRequest.headers['authorization']).to.equal(
+        'Bearer test-key',
+      );
+      expect(upgradeRequest.headers['openai-beta']).to.equal('realtime=v1');
+    });
+
+    it('Should send custom headers and use a custom agent', async () => {
+      const agent = new http.Agent();
+      let agentUsed = false;
+      const createConnection = agent.createConnection.bind(agent);
+      agent.createConnection = (...args) => {
+        agentUsed = true;
+        return createConnection(...args);
+      };
+      realtime = new RealtimeAPI({
+        url,
+        apiKey: 'test-key',
+        headers: { 'X-Relay-Token': 'relay-token' },
+        agent,
+      });
+      await realtime.connect({ model: 'test-model' });
+      await new Promise((r) => setTimeout(r, 10));
+
+      expect(agentUsed).to.equal(true);
+      expect(upgradeRequest.headers['x-relay-token']).to.equal('relay-token');
+    });
+
+    it('Should connect to an Azure deployment with an api-key header', async () => {
+      realtime = new RealtimeAPI({
+        apiKey: 'azure-key',
+        azure: {
+          endpoint: url.replace('ws://', 'http://').replace('/v1/realtime', ''),
+          deployment: 'my-realtime',
+        },
+      });
+      await realtime.connect();
+      await new Promise((r) => setTimeout(r, 10));
+      const requestUrl = new URL(upgradeRequest.url, 'ws://localhost');
+
+      expect(requestUrl.pathname).to.equal('/openai/realtime');
+      expect(requestUrl.searchParams.get('api-version')).to.equal(
+        '2024-10-01-preview',
+      );
+      expect(requestUrl.searchParams.get('deployment')).to.equal('my-realtime');
+      expect(upgradeRequest.headers['api-key']).to.equal('azure-key');
+      expect(upgradeRequest.headers['authorization']).to.not.exist;
+    });
+
+    it('Should authenticate to Azure with an Entra ID token provider', async () => {
+      let calls = 0;
+      realtime = new RealtimeAPI({
+        azure: {
+          endpoint: url.replace('/v1/realtime', ''),
+          deployment: 'my-realtime',
+          apiVersion: '2025-01-01-preview',
+          tokenProvider: async () => `entra-token-${++calls}`,
+        },
+      });
+      await realtime.connect();
+      await new Promise((r) => setTimeout(r, 10));
+      const requestUrl = new URL(upgradeRequest.url, 'ws://localhost');
+
+      expect(requestUrl.searchParams.get('api-version')).to.equal(
+        '2025-01-01-preview',
+      );
+      expect(upgradeRequest.headers['authorization']).to.equal(
+        'Bearer entra-token-1',
+      );
+      expect(upgradeRequest.headers['api-key']).to.not.exist;
+    });
+
+    it('Should pass Azure credentials as query parameters in the browser', async () => {
+      globalThis.WebSocket = (await import('websocket')).default.w3cwebsocket;
+      try {
+        realtime = new RealtimeAPI({
+          azure: {
+            endpoint: url.replace('/v1/realtime', ''),
+            deployment: 'my-realtime',
+            tokenProvider: () => 'browser-token',
+          },
+        });
+        await realtime.connect();
+        await new Promise((r) => setTimeout(r, 10));
+      } finally {
+        delete globalThis.WebSocket;
+      }
+      const requestUrl = new URL(upgradeRequest.url, 'ws://localhost');
+
+      expect(requestUrl.searchParams.get('Authorization')).to.equal(
+        'Bearer browser-token',
+      );
+      expect(upgradeRequest.headers['sec-websocket-protocol']).to.not.exist;
+    });
+
+    it('Should require an Azure endpoint and deployment', () => {
+      realtime = new RealtimeAPI();
+
+      expect(
+        () => new RealtimeAPI({ azure: { deployment: 'my-realtime' } }),
+      ).to.throw('Missing "endpoint"');
+      expect(
+        () => new RealtimeAPI({ azure: { endpoint: 'https://example.com' } }),
+      ).to.throw('Missing "deployment"');
+    });
+
+    it('Should stay connected while heartbeat pongs arrive', async () => {
+      realtime = new RealtimeAPI({
+        url,
+        heartbeat: { interval: 10, timeout: 20 },
+      });
+      const closeEvents = [];
+      realtime.on('close', (event) => closeEvents.push(event));
+      await realtime.connect();
+      await new Promise((r) => setTimeout(r, 100));
+
+      expect(realtime.isConnected()).to.equal(true);
+      expect(closeEvents.length).to.equal(0);
+    });
+
+    it('Should close with an error when heartbeat pongs are missed', async () => {
+      const silentWss = new WebSocketServer({ port: 0, autoPong: false });
+      await new Promise((resolve) => silentWss.on('listening', resolve));
+      realtime = new RealtimeAPI({
+        url: `ws://localhost:${silentWss.address().port}`,
+        heartbeat: { interval: 10, timeout: 20 },
+      });
+      await realtime.connect();
+      const event = await realtime.waitForNext('close', 1000);
+      await new Promise((resolve) => silentWss.close(resolve));
+
+      expect(event).to.deep.equal({ error: true });
+      expect(realtime.isConnected()).to.equal(false);
+      expect(realtime.heartbeatInterval).to.equal(null);
     });
   });
 }
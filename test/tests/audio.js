@@ -10,12 +10,30 @@ const samples = {
   'toronto-mp3': './test/samples/toronto.mp3',
 };
 
-import { RealtimeClient, RealtimeUtils } from '../../index.js';
+import {
+  RealtimeClient,
+  RealtimeMockServer,
+  RealtimeUtils,
+} from '../../index.js';
 
 export async function run({ debug = false } = {}) {
   describe('Audio samples tests', () => {
+    let server;
     let client;
     let realtimeEvents = [];
+    let nextUserItem;
+
+    before(async () => {
+      // Streams slowly enough to wait for each item after the one before it
+      server = new RealtimeMockServer({ apiKey: 'mock-key', delay: 50, debug });
+      await server.listen();
+      server.queueResponse({ transcript: 'Toronto is in Ontario, Canada.' });
+    });
+
+    after(async () => {
+      client?.disconnect();
+      await server.close();
+    });
 
     it('Should load all audio samples', async () => {
       let err;
@@ -38,7 +56,8 @@ export async function run({ debug = false } = {}) {
 
     it('Should instantiate the RealtimeClient', () => {
       client = new RealtimeClient({
-        apiKey: process.env.OPENAI_API_KEY,
+        url: server.url,
+        apiKey: 'mock-key',
         debug,
       });
 
@@ -54,7 +73,7 @@ export async function run({ debug = false } = {}) {
       expect(client).to.exist;
       expect(client.realtime).to.exist;
       expect(client.conversation).to.exist;
-      expect(client.realtime.apiKey).to.equal(process.env.OPENAI_API_KEY);
+      expect(client.realtime.apiKey).to.equal('mock-key');
     });
 
     it('Should connect to the RealtimeClient', async function () {
@@ -68,36 +87,33 @@ export async function run({ debug = false } = {}) {
 
     it('Should receive "session.created" and send "session.update"', async () => {
       await client.waitForSessionCreated();
+      // Locally, the session events can arrive before or after our update
+      const events = realtimeEvents.map(
+        ({ source, event }) => `${source}:${event.type}`,
+      );
 
-      expect(realtimeEvents.length).to.equal(2);
-
-      const clientEvent1 = realtimeEvents[0];
-
-      expect(clientEvent1.source).to.equal('client');
-      expect(clientEvent1.event.type).to.equal('session.update');
-
-      const serverEvent1 = realtimeEvents[1];
-
-      expect(serverEvent1.source).to.equal('server');
-      expect(serverEvent1.event.type).to.equal('session.created');
-
-      console.log(`[Session ID] ${serverEvent1.event.session.id}`);
+      expect(events).to.include.members([
+        'client:session.update',
+        'server:session.created',
+      ]);
     });
 
     it('Should send an audio file about toronto (.mp3)', () => {
       const sample = samples['toronto-mp3'].base64;
       const content = [{ type: 'input_audio', audio: sample }];
+      const start = realtimeEvents.length;
+      nextUserItem = client.waitForNextItem();
 
       client.sendUserMessageContent(content);
 
-      expect(realtimeEvents.length).to.equal(4);
+      expect(realtimeEvents.length).to.equal(start + 2);
 
-      const itemEvent = realtimeEvents[2];
+      const itemEvent = realtimeEvents[start];
 
       expect(itemEvent.source).to.equal('client');
       expect(itemEvent.event.type).to.equal('conversation.item.create');
 
-      const responseEvent = realtimeEvents[3];
+      const responseEvent = realtimeEvents[start + 1];
 
       expect(responseEvent).to.exist;
       expect(responseEvent.source).to.equal('client');
@@ -107,7 +123,7 @@ export async function run({ debug = false } = {}) {
     it('Should waitForNextItem to receive "conversation.item.created" from user', async function () {
       this.timeout(10_000);
 
-      const { item } = await client.waitForNextItem();
+      const { item } = await nextUserItem;
 
       expect(item).to.exist;
       expect(item.type).to.equal('message');
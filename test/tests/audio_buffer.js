@@ -0,0 +1,105 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import {
+  RealtimeAudioBuffer,
+  RealtimeConversation,
+  RealtimeUtils,
+} from '../../index.js';
+
+export async function run() {
+  describe('RealtimeAudioBuffer', () => {
+    it('Should append chunks and merge them only when read', () => {
+      const buffer = new RealtimeAudioBuffer(new Int16Array([1, 2]));
+      const source = new Int16Array([3, 4, 5]);
+      buffer.append(source);
+      buffer.append(new Int16Array([6]).buffer);
+      buffer.append(new Float32Array([1]));
+      source[0] = 0;
+
+      expect(buffer.chunks.length).to.equal(4);
+      expect(buffer.length).to.equal(7);
+      expect(buffer.byteLength).to.equal(14);
+
+      const audio = buffer.toInt16Array();
+
+      expect(Array.from(audio)).to.deep.equal([1, 2, 3, 4, 5, 6, 0x7fff]);
+      expect(buffer.chunks.length).to.equal(1);
+
+      expect(buffer.toInt16Array()).to.equal(audio);
+
+      buffer.append(new Int16Array([7]));
+
+      expect(buffer.toInt16Array()).to.not.equal(audio);
+      expect(buffer.toInt16Array().length).to.equal(8);
+
+      buffer.dropStart(1);
+
+      expect(Array.from(buffer.toInt16Array())).to.deep.equal([
+        2, 3, 4, 5, 6, 0x7fff, 7,
+      ]);
+      expect(() => buffer.append([1, 2])).to.throw(
+        'Audio must be an Int16Array, Float32Array or ArrayBuffer',
+      );
+    });
+
+    it('Should slice across chunks like Int16Array#slice()', () => {
+      const buffer = new RealtimeAudioBuffer();
+      const expected = new Int16Array(10).map((_, i) => i);
+      buffer.append(expected.slice(0, 3));
+      buffer.append(expected.slice(3, 4));
+      buffer.append(expected.slice(4));
+
+      for (const [start, end] of [
+        [0, 10],
+        [2, 5],
+        [3, 4],
+        [4, 4],
+        [-3, undefined],
+        [5, 100],
+        [8, 2],
+      ]) {
+        expect(Array.from(buffer.slice(start, end))).to.deep.equal(
+          Array.from(expected.slice(start, end)),
+        );
+      }
+      expect(buffer.chunks.length).to.equal(3);
+    });
+
+    it('Should store conversation audio deltas in a buffer', () => {
+      const conversation = new RealtimeConversation();
+      const { item } = conversation.processEvent({
+        event_id: 'evt_1',
+        type: 'conversation.item.created',
+        item: { id: 'item_1', type: 'message', role: 'assistant', content: [] },
+      });
+      for (let i = 0; i < 100; i++) {
+        conversation.processEvent({
+          event_id: `evt_delta_${i}`,
+          type: 'response.audio.delta',
+          item_id: 'item_1',
+          content_index: 0,
+          delta: RealtimeUtils.arrayBufferToBase64(new Int16Array(240).fill(i)),
+        });
+      }
+
+      expect(item.formatted.audioBuffer.chunks.length).to.equal(100);
+      expect(item.formatted.audio).to.equal(item.formatted.audio);
+      expect(item.formatted.audio.length).to.equal(24_000);
+      expect(item.formatted.audio[23_999]).to.equal(99);
+      expect(JSON.parse(JSON.stringify(item.formatted))).to.have.property(
+        'audio',
+      );
+
+      conversation.processEvent({
+        event_id: 'evt_2',
+        type: 'conversation.item.truncated',
+        item_id: 'item_1',
+        audio_end_ms: 500,
+      });
+
+      expect(item.formatted.audio.length).to.equal(12_000);
+      expect(item.formatted.audio[11_999]).to.equal(49);
+    });
+  });
+}
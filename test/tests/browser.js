@@ -1,22 +1,32 @@
 import * as chai from 'chai';
 const expect = chai.expect;
 
-import { RealtimeClient } from '../../index.js';
+import { RealtimeClient, RealtimeMockServer } from '../../index.js';
 
 export async function run({ debug = false } = {}) {
   describe('RealtimeClient (Browser)', () => {
+    let server;
     let client;
     let realtimeEvents = [];
+    let nextUserItem;
 
     before(async () => {
+      // Streams slowly enough to wait for each item after the one before it
+      server = new RealtimeMockServer({ apiKey: 'mock-key', delay: 50, debug });
+      await server.listen();
+      server.queueResponse({
+        transcript: 'It is sunny in San Francisco today.',
+      });
       const WebSocket = (await import('websocket')).default.w3cwebsocket;
       globalThis.WebSocket = WebSocket;
       globalThis.document = {};
     });
 
     after(async () => {
+      client?.disconnect();
       globalThis.WebSocket = void 0;
       globalThis.document = void 0;
+      await server.close();
     });
 
     it('Should fail to instantiate the RealtimeClient when "dangerouslyAllowAPIKeyInBrowser" is not set', () => {
@@ -24,7 +34,8 @@ export async function run({ debug = false } = {}) {
 
       try {
         client = new RealtimeClient({
-          apiKey: process.env.OPENAI_API_KEY,
+          url: server.url,
+          apiKey: 'mock-key',
           debug,
         });
       } catch (e) {
@@ -37,7 +48,8 @@ export async function run({ debug = false } = {}) {
 
     it('Should instantiate the RealtimeClient when "dangerouslyAllowAPIKeyInBrowser" is set', () => {
       client = new RealtimeClient({
-        apiKey: process.env.OPENAI_API_KEY,
+        url: server.url,
+        apiKey: 'mock-key',
         dangerouslyAllowAPIKeyInBrowser: true,
         debug,
       });
@@ -55,7 +67,7 @@ export async function run({ debug = false } = {}) {
       expect(client).to.exist;
       expect(client.realtime).to.exist;
       expect(client.conversation).to.exist;
-      expect(client.realtime.apiKey).to.equal(process.env.OPENAI_API_KEY);
+      expect(client.realtime.apiKey).to.equal('mock-key');
     });
 
     describe('turn_end_mode: "client_decision"', () => {
@@ -68,35 +80,32 @@ export async function run({ debug = false } = {}) {
 
       it('Should receive "session.created" and send "session.update"', async () => {
         await client.waitForSessionCreated();
+        // Locally, the session events can arrive before or after our update
+        const events = realtimeEvents.map(
+          ({ source, event }) => `${source}:${event.type}`,
+        );
 
-        expect(realtimeEvents.length).to.equal(2);
-
-        const clientEvent1 = realtimeEvents[0];
-
-        expect(clientEvent1.source).to.equal('client');
-        expect(clientEvent1.event.type).to.equal('session.update');
-
-        const serverEvent1 = realtimeEvents[1];
-
-        expect(serverEvent1.source).to.equal('server');
-        expect(serverEvent1.event.type).to.equal('session.created');
-
-        console.log(`[Session ID] ${serverEvent1.event.session.id}`);
+        expect(events).to.include.members([
+          'client:session.update',
+          'server:session.created',
+        ]);
       });
 
       it('Should send a simple hello message (text)', () => {
         const content = [{ type: 'input_text', text: `How are you?` }];
+        const start = realtimeEvents.length;
+        nextUserItem = client.waitForNextItem();
 
         client.sendUserMessageContent(content);
 
-        expect(realtimeEvents.length).to.equal(4);
+        expect(realtimeEvents.length).to.equal(start + 2);
 
-        const itemEvent = realtimeEvents[2];
+        const itemEvent = realtimeEvents[start];
 
         expect(itemEvent.source).to.equal('client');
         expect(itemEvent.event.type).to.equal('conversation.item.create');
 
-        const responseEvent = realtimeEvents[3];
+        const responseEvent = realtimeEvents[start + 1];
 
         expect(responseEvent).to.exist;
         expect(responseEvent.source).to.equal('client');
@@ -106,7 +115,7 @@ export async function run({ debug = false } = {}) {
       it('Should waitForNextItem to receive "conversation.item.created" from user', async function () {
         this.timeout(10_000);
 
-        const { item } = await client.waitForNextItem();
+        const { item } = await nextUserItem;
 
         expect(item).to.exist;
         expect(item.type).to.equal('message');
@@ -1,16 +1,41 @@
 import * as chai from 'chai';
 const expect = chai.expect;
 
-import { RealtimeClient } from '../../index.js';
+import net from 'node:net';
+import { WebSocketServer } from 'ws';
+
+import {
+  RealtimeClient,
+  RealtimeAbortError,
+  RealtimeMockServer,
+  RealtimeTimeoutError,
+} from '../../index.js';
 
 export async function run({ debug = false } = {}) {
   describe('RealtimeClient (Node.js)', () => {
+    let server;
     let client;
     let realtimeEvents = [];
+    let nextUserItem;
+
+    before(async () => {
+      // Streams slowly enough to wait for each item after the one before it
+      server = new RealtimeMockServer({ apiKey: 'mock-key', delay: 50, debug });
+      await server.listen();
+      server.queueResponse({
+        transcript: 'It is sunny in San Francisco today.',
+      });
+    });
+
+    after(async () => {
+      client?.disconnect();
+      await server.close();
+    });
 
     it('Should instantiate the RealtimeClient', () => {
       client = new RealtimeClient({
-        apiKey: process.env.OPENAI_API_KEY,
+        url: server.url,
+        apiKey: 'mock-key',
         debug,
       });
 
@@ -27,7 +52,7 @@ export async function run({ debug = false } = {}) {
       expect(client).to.exist;
       expect(client.realtime).to.exist;
       expect(client.conversation).to.exist;
-      expect(client.realtime.apiKey).to.equal(process.env.OPENAI_API_KEY);
+      expect(client.realtime.apiKey).to.equal('mock-key');
     });
 
     describe('turn_end_mode: "client_decision"', () => {
@@ -40,35 +65,32 @@ export async function run({ debug = false } = {}) {
 
       it('Should receive "session.created" and send "session.update"', async () => {
         await client.waitForSessionCreated();
+        // Locally, the session events can arrive before or after our update
+        const events = realtimeEvents.map(
+          ({ source, event }) => `${source}:${event.type}`,
+        );
 
-        expect(realtimeEvents.length).to.equal(2);
-
-        const clientEvent1 = realtimeEvents[0];
-
-        expect(clientEvent1.source).to.equal('client');
-        expect(clientEvent1.event.type).to.equal('session.update');
-
-        const serverEvent1 = realtimeEvents[1];
-
-        expect(serverEvent1.source).to.equal('server');
-        expect(serverEvent1.event.type).to.equal('session.created');
-
-        console.log(`[Session ID] ${serverEvent1.event.session.id}`);
+        expect(events).to.include.members([
+          'client:session.update',
+          'server:session.created',
+        ]);
       });
 
       it('Should send a simple hello message (text)', () => {
         const content = [{ type: 'input_text', text: `How are you?` }];
+        const start = realtimeEvents.length;
+        nextUserItem = client.waitForNextItem();
 
         client.sendUserMessageContent(content);
 
-        expect(realtimeEvents.length).to.equal(4);
+        expect(realtimeEvents.length).to.equal(start + 2);
 
-        const itemEvent = realtimeEvents[2];
+        const itemEvent = realtimeEvents[start];
 
         expect(itemEvent.source).to.equal('client');
         expect(itemEvent.event.type).to.equal('conversation.item.create');
 
-        const responseEvent = realtimeEvents[3];
+        const responseEvent = realtimeEvents[start + 1];
 
         expect(responseEvent).to.exist;
         expect(responseEvent.source).to.equal('client');
@@ -78,7 +100,7 @@ export async function run({ debug = false } = {}) {
       it('Should waitForNextItem to receive "conversation.item.created" from user', async function () {
         this.timeout(10_000);
 
-        const { item } = await client.waitForNextItem();
+        const { item } = await nextUserItem;
 
         expect(item).to.exist;
         expect(item.type).to.equal('message');
@@ -219,4 +241,259 @@ export async function run({ debug = false } = {}) {
       expect(client.isConnected()).to.be.true;
     });
   });
+
+  describe('RealtimeClient (reconnection)', () => {
+    let client;
+    let wss;
+    let url;
+    let sockets;
+    let received;
+
+    before(async () => {
+      wss = new WebSocketServer({ port: 0 });
+      await new Promise((resolve) => wss.on('listening', resolve));
+      wss.on('connection', (ws) => {
+        sockets.push(ws);
+        ws.on('message', (data) => received.push(JSON.parse(data.toString())));
+        ws.send(
+          JSON.stringify({
+            event_id: 'event_session',
+            type: 'session.created',
+            session: { id: 'sess_test' },
+          }),
+        );
+      });
+      url = `ws://localhost:${wss.address().port}`;
+    });
+
+    beforeEach(() => {
+      sockets = [];
+      received = [];
+    });
+
+    afterEach(() => {
+      client.disconnect();
+    });
+
+    after(async () => {
+      await new Promise((resolve) => wss.close(resolve));
+    });
+
+    it('Should not reconnect unless enabled', async () => {
+      client = new RealtimeClient({ url });
+      const reconnecting = [];
+      client.on('reconnecting', (event) => reconnecting.push(event));
+      await client.connect();
+      await client.waitForSessionCreated();
+      sockets[0].terminate();
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(client.isConnected()).to.equal(false);
+      expect(reconnecting.length).to.equal(0);
+    });
+
+    it('Should reconnect and restore the session after an error close', async () => {
+      client = new RealtimeClient({
+        url,
+        reconnect: { initialDelay: 10, jitter: 0 },
+      });
+      client.updateSession({ instructions: 'Restore me' });
+      client.addTool(
+        { name: 'get_time', description: 'Gets the time', parameters: {} },
+        () => ({ time: 'now' }),
+      );
+      const reconnecting = [];
+      client.on('reconnecting', (event) => reconnecting.push(event));
+      await client.connect();
+      await client.waitForSessionCreated();
+      received = [];
+      sockets[0].terminate();
+      const { attempt } = await client.waitForNext('reconnected', 1000);
+
+      expect(attempt).to.equal(1);
+      expect(reconnecting).to.deep.equal([{ attempt: 1, delay: 10 }]);
+      expect(client.isConnected()).to.equal(true);
+      expect(sockets.length).to.equal(2);
+
+      await new Promise((r) => setTimeout(r, 20));
+      const sessionUpdate = received.find((e) => e.type === 'session.update');
+
+      expect(sessionUpdate).to.exist;
+      expect(sessionUpdate.session.instructions).to.equal('Restore me');
+      expect(sessionUpdate.session.tools[0].name).to.equal('get_time');
+    });
+
+    it('Should replay conversation items when "replayConversation" is set', async () => {
+      client = new RealtimeClient({
+        url,
+        reconnect: { initialDelay: 10, replayConversation: true },
+      });
+      await client.connect();
+      client.conversation.processEvent({
+        event_id: 'event_1',
+        type: 'conversation.item.created',
+        item: {
+          id: 'item_user',
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_text', text: 'Hello' }],
+        },
+      });
+      client.conversation.processEvent({
+        event_id: 'event_2',
+        type: 'conversation.item.created',
+        item: {
+          id: 'item_call_output',
+          type: 'function_call_output',
+          call_id: 'call_1',
+          output: '{}',
+        },
+      });
+      received = [];
+      sockets[0].terminate();
+      await client.waitForNext('reconnected', 1000);
+      await new Promise((r) => setTimeout(r, 20));
+      const items = received
+        .filter((e) => e.type === 'conversation.item.create')
+        .map((e) => e.item);
+
+      expect(items).to.deep.equal([
+        {
+          id: 'item_user',
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_text', text: 'Hello' }],
+        },
+        {
+          id: 'item_call_output',
+          type: 'function_call_output',
+          call_id: 'call_1',
+          output: '{}',
+        },
+      ]);
+    });
+
+    it('Should dispatch "reconnect_failed" after the last attempt', async () => {
+      client = new RealtimeClient({
+        url,
+        reconnect: { maxAttempts: 2, initialDelay: 10 },
+      });
+      await client.connect();
+      await client.waitForSessionCreated();
+      client.realtime.url = 'ws://localhost:1';
+      const nextClose = client.waitForNext('close', 1000);
+      sockets[0].terminate();
+      const { attempts, error } = await client.waitForNext(
+        'reconnect_failed',
+        1000,
+      );
+      const close = await nextClose;
+
+      expect(attempts).to.equal(2);
+      expect(error.message).to.contain('Could not connect');
+      expect(client.isConnected()).to.equal(false);
+      expect(close.error).to.equal(true);
+    });
+  });
+
+  describe('RealtimeClient (timeouts and aborts)', () => {
+    let client;
+    let wss;
+    let url;
+
+    let hangServer;
+    let hangUrl;
+    let hangSockets = [];
+
+    before(async () => {
+      // Never sends "session.created"
+      wss = new WebSocketServer({ port: 0 });
+      await new Promise((resolve) => wss.on('listening', resolve));
+      url = `ws://localhost:${wss.address().port}`;
+      // Accepts TCP connections but never completes the WebSocket handshake
+      hangServer = net.createServer((socket) => hangSockets.push(socket));
+      await new Promise((resolve) => hangServer.listen(0, resolve));
+      hangUrl = `ws://localhost:${hangServer.address().port}`;
+    });
+
+    afterEach(() => {
+      client.disconnect();
+    });
+
+    after(async () => {
+      hangSockets.forEach((socket) => socket.destroy());
+      await new Promise((resolve) => hangServer.close(resolve));
+      await new Promise((resolve) => wss.close(resolve));
+    });
+
+    it('Should time out connecting when the handshake never completes', async () => {
+      client = new RealtimeClient({ url: hangUrl });
+      let err;
+      try {
+        await client.connect({ timeout: 50 });
+      } catch (e) {
+        err = e;
+      }
+
+      expect(err).to.be.instanceOf(RealtimeTimeoutError);
+      expect(err.name).to.equal('TimeoutError');
+      expect(err.message).to.equal('connect() timed out after 50ms');
+      expect(client.isConnected()).to.equal(false);
+    });
+
+    it('Should abort connecting when the signal aborts', async () => {
+      client = new RealtimeClient({ url: hangUrl });
+      const controller = new AbortController();
+      setTimeout(() => controller.abort('User hung up'), 20);
+      let err;
+      try {
+        await client.connect({ signal: controller.signal });
+      } catch (e) {
+        err = e;
+      }
+
+      expect(err).to.be.instanceOf(RealtimeAbortError);
+      expect(err.name).to.equal('AbortError');
+      expect(err.cause).to.equal('User hung up');
+      expect(client.isConnected()).to.equal(false);
+    });
+
+    it('Should time out waiting for the session', async () => {
+      client = new RealtimeClient({ url });
+      await client.connect();
+      let err;
+      try {
+        await client.waitForSessionCreated({ timeout: 50 });
+      } catch (e) {
+        err = e;
+      }
+
+      expect(err).to.be.instanceOf(RealtimeTimeoutError);
+    });
+
+    it('Should remove pending listeners when waiting for items is aborted', async () => {
+      client = new RealtimeClient({ url });
+      await client.connect();
+      const controller = new AbortController();
+      const nextItem = client.waitForNextItem({ signal: controller.signal });
+      const nextCompletedItem = client.waitForNextCompletedItem({
+        timeout: 20,
+      });
+      controller.abort();
+      const results = await Promise.allSettled([nextItem, nextCompletedItem]);
+
+      expect(results[0].reason).to.be.instanceOf(RealtimeAbortError);
+      expect(results[1].reason).to.be.instanceOf(RealtimeTimeoutError);
+      expect(client.eventHandlers['conversation.item.appended']).to.be.empty;
+      expect(client.eventHandlers['conversation.item.completed']).to.be.empty;
+    });
+
+    it('Should resolve to null on numeric waitForNext timeouts', async () => {
+      client = new RealtimeClient({ url });
+      const event = await client.waitForNext('conversation.updated', 20);
+
+      expect(event).to.equal(null);
+      expect(client.eventHandlers['conversation.updated']).to.be.empty;
+    });
+  });
 }
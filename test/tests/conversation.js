@@ -0,0 +1,907 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import {
+  RealtimeAudioBuffer,
+  RealtimeClient,
+  RealtimeConversation,
+  RealtimeMockServer,
+  RealtimeUtils,
+} from '../../index.js';
+import { createEvent, createItem, processEvent } from '../utils.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeConversation (snapshots)', () => {
+    let server;
+
+    const createConversation = () => {
+      const conversation = new RealtimeConversation();
+      createItem(
+        conversation,
+        {
+          id: 'item_user',
+          type: 'message',
+          role: 'user',
+          content: [
+            { type: 'input_audio', audio: 'AQD+/w==', transcript: null },
+          ],
+        },
+        new Int16Array([1, -2, 3, -4]),
+      );
+      processEvent(
+        conversation,
+        'conversation.item.input_audio_transcription.completed',
+        {
+          item_id: 'item_user',
+          content_index: 0,
+          transcript: 'What is the weather?',
+        },
+      );
+      processEvent(conversation, 'response.created', {
+        response: { id: 'resp_1', status: 'in_progress', output: [] },
+      });
+      createItem(conversation, {
+        id: 'item_call',
+        type: 'function_call',
+        status: 'completed',
+        call_id: 'call_1',
+        name: 'get_weather',
+        arguments: '{"city":"Toronto"}',
+      });
+      return conversation;
+    };
+
+    before(async () => {
+      server = new RealtimeMockServer({ apiKey: 'mock-key', debug });
+      await server.listen();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('Should round-trip items, responses and audio through JSON', () => {
+      const conversation = createConversation();
+      const json = JSON.stringify(conversation);
+      const restored = RealtimeConversation.fromJSON(json);
+      const [userItem, callItem] = restored.getItems();
+
+      expect(JSON.parse(json).version).to.equal(1);
+      expect(userItem.formatted.audio).to.be.instanceOf(Int16Array);
+      expect(Array.from(userItem.formatted.audio)).to.deep.equal([
+        1, -2, 3, -4,
+      ]);
+      expect(userItem.formatted.transcript).to.equal('What is the weather?');
+      expect(callItem.formatted.tool.name).to.equal('get_weather');
+      expect(restored.getItem('item_call')).to.equal(callItem);
+      expect(restored.responses[0].id).to.equal('resp_1');
+      expect(restored.responseLookup.resp_1).to.equal(restored.responses[0]);
+    });
+
+    it('Should omit audio when requested', () => {
+      const snapshot = createConversation().toJSON({ audio: 'omit' });
+      const restored = RealtimeConversation.fromJSON(snapshot);
+      const userItem = restored.getItem('item_user');
+
+      expect(snapshot.items[0].formatted).to.not.have.property('audio');
+      expect(snapshot.items[0].content[0]).to.not.have.property('audio');
+      expect(userItem.formatted.audio.length).to.equal(0);
+      expect(userItem.formatted.transcript).to.equal('What is the weather?');
+      expect(() => createConversation().toJSON({ audio: 'mp3' })).to.throw(
+        'Invalid audio option "mp3"',
+      );
+    });
+
+    it('Should reject invalid snapshots', () => {
+      expect(() => RealtimeConversation.fromJSON({ items: [] })).to.throw(
+        'Invalid conversation snapshot',
+      );
+      expect(() =>
+        RealtimeConversation.fromJSON({ version: 2, items: [], responses: [] }),
+      ).to.throw('Unsupported conversation snapshot version "2"');
+    });
+
+    it('Should restore a conversation into a fresh session', async () => {
+      const client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      const restoredClient = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      try {
+        server.queueResponse({ text: 'Hello there!' });
+        client.updateSession({ modalities: ['text'] });
+        await client.connect();
+        client.sendUserMessageContent([{ type: 'input_text', text: 'Hi' }]);
+        await client.waitForNext('usage.updated', 1000);
+        const snapshot = JSON.stringify(client.conversation.toJSON());
+
+        expect(() => restoredClient.restoreConversation(snapshot)).to.throw(
+          'Not connected, use .connect() first',
+        );
+
+        const sent = [];
+        restoredClient.realtime.on('client.conversation.item.create', (event) =>
+          sent.push(event.item),
+        );
+        const appended = [];
+        restoredClient.on('conversation.item.appended', ({ item }) =>
+          appended.push(item),
+        );
+        await restoredClient.connect();
+        await restoredClient.waitForSessionCreated();
+        restoredClient.restoreConversation(snapshot);
+        await new Promise((r) => setTimeout(r, 50));
+        const [userItem, assistantItem] =
+          restoredClient.conversation.getItems();
+
+        expect(sent.map(({ id, role }) => [id, role])).to.deep.equal(
+          client.conversation.getItems().map(({ id, role }) => [id, role]),
+        );
+        expect(sent[1].content).to.deep.equal([
+          { type: 'text', text: 'Hello there!' },
+        ]);
+        expect(appended.length).to.equal(0);
+        expect(userItem.formatted.text).to.equal('Hi');
+        expect(assistantItem.formatted.text).to.equal('Hello there!');
+        expect(() => restoredClient.restoreConversation(snapshot)).to.throw(
+          'Can not restore a conversation into a session that already has items',
+        );
+      } finally {
+        client.disconnect();
+        restoredClient.disconnect();
+      }
+    });
+
+    it('Should skip restoring messages without text, transcript or audio', async () => {
+      const conversation = createConversation();
+      conversation.getItem('item_user').formatted.transcript = '';
+      createItem(conversation, {
+        id: 'item_text',
+        type: 'message',
+        role: 'user',
+        content: [{ type: 'input_text', text: 'Hi' }],
+      });
+      const snapshot = conversation.toJSON({ audio: 'omit' });
+      const client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      try {
+        const sent = [];
+        client.realtime.on('client.conversation.item.create', (event) =>
+          sent.push(event.item),
+        );
+        const warnings = [];
+        client.on('conversation.warning', (event) => warnings.push(event));
+        await client.connect();
+        await client.waitForSessionCreated();
+        client.restoreConversation(snapshot);
+
+        expect(sent.map(({ id }) => id)).to.deep.equal(['item_text']);
+        expect(warnings.length).to.equal(1);
+        expect(warnings[0].items.map(({ id }) => id)).to.deep.equal([
+          'item_user',
+        ]);
+      } finally {
+        client.disconnect();
+      }
+    });
+  });
+
+  describe('RealtimeConversation (audio export)', () => {
+    // 10 samples per millisecond keeps the numbers readable
+    const createConversation = () => {
+      const conversation = new RealtimeConversation();
+      conversation.defaultFrequency = 10_000;
+      const inputAudioBuffer = new Int16Array(300).fill(1000);
+      const speak = (item_id, audio_start_ms, audio_end_ms) => {
+        processEvent(conversation, 'input_audio_buffer.speech_started', {
+          item_id,
+          audio_start_ms,
+        });
+        processEvent(
+          conversation,
+          'input_audio_buffer.speech_stopped',
+          { item_id, audio_end_ms },
+          inputAudioBuffer,
+        );
+        createItem(conversation, {
+          id: item_id,
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_audio', transcript: null }],
+        });
+      };
+      speak('item_user_1', 5, 10);
+      createItem(
+        conversation,
+        {
+          id: 'item_assistant',
+          type: 'message',
+          role: 'assistant',
+          content: [],
+        },
+        new Int16Array(100).fill(-2000),
+      );
+      // Interrupts the assistant, without truncating it
+      speak('item_user_2', 15, 18);
+      createItem(
+        conversation,
+        {
+          id: 'item_assistant_2',
+          type: 'message',
+          role: 'assistant',
+          content: [],
+        },
+        new Int16Array(50).fill(-1000),
+      );
+      return conversation;
+    };
+
+    it('Should encode WAV files', () => {
+      const wav = RealtimeUtils.encodeWav(new Int16Array([1, -1, 2, -2]), {
+        sampleRate: 16_000,
+        channels: 2,
+      });
+      const view = new DataView(wav);
+      const text = (offset) =>
+        String.fromCharCode(...new Uint8Array(wav, offset, 4));
+
+      expect(wav.byteLength).to.equal(52);
+      expect(text(0)).to.equal('RIFF');
+      expect(text(8)).to.equal('WAVE');
+      expect(text(36)).to.equal('data');
+      expect(view.getUint16(22, true)).to.equal(2);
+      expect(view.getUint32(24, true)).to.equal(16_000);
+      expect(view.getUint32(28, true)).to.equal(64_000);
+      expect(view.getUint32(40, true)).to.equal(8);
+      expect(view.getInt16(50, true)).to.equal(-2);
+      expect(
+        new Int16Array(RealtimeUtils.encodeWav(new Float32Array([1]))),
+      ).to.have.property('22', 0x7fff);
+    });
+
+    it('Should export each item with audio as a WAV file', () => {
+      const conversation = createConversation();
+      const files = conversation.exportItemWavs();
+
+      expect(files.map(({ filename }) => filename)).to.deep.equal([
+        '001_user_item_user_1.wav',
+        '002_assistant_item_assistant.wav',
+        '003_user_item_user_2.wav',
+        '004_assistant_item_assistant_2.wav',
+      ]);
+      expect(files[0].item.formatted.audio_start_ms).to.equal(5);
+      expect(files[0].item.formatted.audio_end_ms).to.equal(10);
+      expect(files[1].wav.byteLength).to.equal(44 + 200);
+      expect(new DataView(files[1].wav).getUint32(24, true)).to.equal(10_000);
+    });
+
+    it('Should mix a time-aligned stereo recording', () => {
+      const conversation = createConversation();
+      const stereo = conversation.getStereoAudio();
+      const left = (i) => stereo[i * 2];
+      const right = (i) => stereo[i * 2 + 1];
+
+      // user 50-100, assistant 100-200, user 150-180, assistant 180-230
+      expect(stereo.length).to.equal(460);
+      expect([left(49), left(50), left(99), left(100)]).to.deep.equal([
+        0, 1000, 1000, 0,
+      ]);
+      expect([right(99), right(100), right(179)]).to.deep.equal([
+        0, -2000, -2000,
+      ]);
+      expect([left(149), left(150), left(179), left(180)]).to.deep.equal([
+        0, 1000, 1000, 0,
+      ]);
+      // The second response starts when the user stops speaking,
+      // overlapping the end of the first one
+      expect([right(180), right(199), right(200), right(229)]).to.deep.equal([
+        -3000, -3000, -1000, -1000,
+      ]);
+
+      const wav = conversation.exportStereoWav();
+
+      expect(new DataView(wav).getUint16(22, true)).to.equal(2);
+      expect(wav.byteLength).to.equal(44 + 920);
+    });
+  });
+
+  describe('RealtimeConversation (retention)', () => {
+    let server;
+
+    before(async () => {
+      server = new RealtimeMockServer({ apiKey: 'mock-key', debug });
+      await server.listen();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('Should drop input audio and keep speech positions aligned', () => {
+      const conversation = new RealtimeConversation();
+      conversation.defaultFrequency = 1000;
+      const inputAudioBuffer = new RealtimeAudioBuffer();
+      for (let i = 0; i < 10; i++) {
+        inputAudioBuffer.append(new Int16Array(10).fill(i));
+      }
+
+      expect(inputAudioBuffer.dropStart(45)).to.equal(45);
+      expect(inputAudioBuffer.dropStart(1000)).to.equal(55);
+      expect(inputAudioBuffer.offset).to.equal(100);
+
+      inputAudioBuffer.append(new Int16Array(50).fill(10));
+      inputAudioBuffer.dropStart(5);
+      processEvent(conversation, 'input_audio_buffer.speech_started', {
+        item_id: 'item_speech',
+        audio_start_ms: 95,
+      });
+      processEvent(
+        conversation,
+        'input_audio_buffer.speech_stopped',
+        { item_id: 'item_speech', audio_end_ms: 120 },
+        inputAudioBuffer,
+      );
+
+      expect(inputAudioBuffer.length).to.equal(45);
+      expect(conversation.queuedSpeechItems.item_speech.audio.length).to.equal(
+        15,
+      );
+    });
+
+    it('Should evict old items and the audio of old turns', () => {
+      const conversation = new RealtimeConversation();
+      const roles = ['user', 'assistant', 'user', 'assistant', 'user'];
+      const items = roles.map((role, i) => {
+        const item = createItem(
+          conversation,
+          { id: `item_${i}`, type: 'message', role, content: [] },
+          new Int16Array(10).fill(1),
+        );
+        item.status = 'completed';
+        return item;
+      });
+      items[1].status = 'in_progress';
+
+      const { items: evicted, audioItems } = conversation.evict({
+        maxAudioTurns: 1,
+        maxItems: 3,
+      });
+
+      expect(evicted).to.deep.equal([items[0], items[2]]);
+      expect(conversation.getItems()).to.deep.equal([
+        items[1],
+        items[3],
+        items[4],
+      ]);
+      expect(conversation.getItem(items[0].id)).to.equal(null);
+      expect(audioItems).to.deep.equal([items[1], items[3]]);
+      expect(items[3].formatted.audio.length).to.equal(0);
+      expect(items[4].formatted.audio.length).to.equal(10);
+      expect(
+        conversation.evict({ maxAudioTurns: 1, maxItems: 3 }),
+      ).to.deep.equal({ items: [], audioItems: [] });
+    });
+
+    it('Should apply the retention policy in RealtimeClient', async () => {
+      const client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+        retention: { maxInputAudioSeconds: 0.5, maxItems: 2 },
+      });
+      try {
+        const evictions = [];
+        client.on('conversation.evicted', (event) => evictions.push(event));
+        await client.connect();
+        for (let i = 0; i < 10; i++) {
+          client.appendInputAudio(new Int16Array(2400));
+        }
+
+        expect(client.retentionConfig.maxAudioTurns).to.equal(null);
+        expect(client.inputAudioBuffer.length).to.equal(12_000);
+        expect(client.inputAudioBuffer.offset).to.equal(12_000);
+
+        for (const text of ['One', 'Two', 'Three']) {
+          const nextItem = client.waitForNextItem();
+          client.realtime.send('conversation.item.create', {
+            item: {
+              type: 'message',
+              role: 'user',
+              content: [{ type: 'input_text', text }],
+            },
+          });
+          await nextItem;
+        }
+        const texts = client.conversation
+          .getItems()
+          .map((item) => item.formatted.text);
+
+        expect(texts).to.deep.equal(['Two', 'Three']);
+        expect(evictions.length).to.equal(1);
+        expect(evictions[0].items[0].formatted.text).to.equal('One');
+        expect(evictions[0].audioItems).to.deep.equal([]);
+      } finally {
+        client.disconnect();
+      }
+    });
+  });
+
+  describe('RealtimeConversation (final values)', () => {
+    let server;
+
+    before(async () => {
+      server = new RealtimeMockServer({ apiKey: 'mock-key', debug });
+      await server.listen();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('Should stream input audio transcripts and record failures', () => {
+      const conversation = new RealtimeConversation();
+      const item_id = 'item_user';
+      processEvent(conversation, 'conversation.item.created', {
+        item: {
+          id: item_id,
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_audio', transcript: null }],
+        },
+      });
+      const first = processEvent(
+        conversation,
+        'conversation.item.input_audio_transcription.delta',
+        { item_id, content_index: 0, delta: 'Hello ' },
+      );
+      processEvent(
+        conversation,
+        'conversation.item.input_audio_transcription.delta',
+        { item_id, content_index: 0, delta: 'wrold' },
+      );
+      const { item } = first;
+
+      expect(first.delta).to.deep.equal({ transcript: 'Hello ' });
+      expect(item.formatted.transcript).to.equal('Hello wrold');
+
+      const completed = processEvent(
+        conversation,
+        'conversation.item.input_audio_transcription.completed',
+        { item_id, content_index: 0, transcript: 'Hello world' },
+      );
+
+      expect(completed.delta).to.equal(null);
+      expect(item.formatted.transcript).to.equal('Hello world');
+      expect(item.content[0].transcript).to.equal('Hello world');
+
+      const error = { type: 'transcription_error', message: 'Failed' };
+      processEvent(
+        conversation,
+        'conversation.item.input_audio_transcription.failed',
+        { item_id, content_index: 0, error },
+      );
+
+      expect(item.formatted.transcription_error).to.equal(error);
+      expect(
+        processEvent(conversation, 'input_audio_buffer.committed', {
+          item_id: 'item_next',
+          previous_item_id: item_id,
+        }),
+      ).to.deep.equal({ item: null, delta: null });
+    });
+
+    it('Should reconcile final text, transcripts and arguments with deltas', () => {
+      const conversation = new RealtimeConversation();
+      const item_id = 'item_assistant';
+      const { item } = processEvent(conversation, 'conversation.item.created', {
+        item: { id: item_id, type: 'message', role: 'assistant', content: [] },
+      });
+      processEvent(conversation, 'response.content_part.added', {
+        item_id,
+        part: { type: 'audio', transcript: '' },
+      });
+      processEvent(conversation, 'response.audio_transcript.delta', {
+        item_id,
+        content_index: 0,
+        delta: 'Partial',
+      });
+      processEvent(conversation, 'response.audio_transcript.done', {
+        item_id,
+        content_index: 0,
+        transcript: 'Partial answer.',
+      });
+
+      expect(item.formatted.transcript).to.equal('Partial answer.');
+
+      processEvent(conversation, 'response.content_part.done', {
+        item_id,
+        content_index: 0,
+        part: { type: 'audio', transcript: 'Final answer.' },
+      });
+
+      expect(item.content[0].transcript).to.equal('Final answer.');
+      expect(item.formatted.transcript).to.equal('Final answer.');
+
+      const { item: textItem } = processEvent(
+        conversation,
+        'conversation.item.created',
+        {
+          item: {
+            id: 'item_text',
+            type: 'message',
+            role: 'assistant',
+            content: [],
+          },
+        },
+      );
+      processEvent(conversation, 'response.content_part.added', {
+        item_id: 'item_text',
+        part: { type: 'text', text: '' },
+      });
+      processEvent(conversation, 'response.text.delta', {
+        item_id: 'item_text',
+        content_index: 0,
+        delta: 'Hel',
+      });
+      processEvent(conversation, 'response.text.done', {
+        item_id: 'item_text',
+        content_index: 0,
+        text: 'Hello',
+      });
+
+      expect(textItem.formatted.text).to.equal('Hello');
+
+      const { item: callItem } = processEvent(
+        conversation,
+        'conversation.item.created',
+        {
+          item: {
+            id: 'item_call',
+            type: 'function_call',
+            call_id: 'call_1',
+            name: 'get_weather',
+            arguments: '',
+          },
+        },
+      );
+      processEvent(conversation, 'response.function_call_arguments.done', {
+        item_id: 'item_call',
+        call_id: 'call_1',
+        arguments: '{"city":"Toronto"}',
+      });
+
+      expect(callItem.arguments).to.equal('{"city":"Toronto"}');
+      expect(callItem.formatted.tool.arguments).to.equal('{"city":"Toronto"}');
+      expect(
+        processEvent(conversation, 'response.audio.done', {
+          item_id: 'item_missing',
+        }),
+      ).to.deep.equal({ item: null, delta: null });
+      expect(conversation.pendingEvents).to.have.property('item_missing');
+    });
+
+    it('Should dispatch finalization events from RealtimeClient', async () => {
+      const client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      try {
+        const events = [];
+        for (const eventName of [
+          'conversation.item.transcript.done',
+          'conversation.item.audio.done',
+          'conversation.item.text.done',
+          'conversation.item.transcription.failed',
+        ]) {
+          client.on(eventName, (event) => events.push([eventName, event]));
+        }
+        const handlerErrors = [];
+        client.on('handler.error', (event) => handlerErrors.push(event));
+        server.queueResponse({ transcript: 'Audio reply' });
+        await client.connect();
+        client.appendInputAudio(new Int16Array(2400));
+        client.realtime.send('input_audio_buffer.clear');
+        await client.realtime.waitForNext(
+          'server.input_audio_buffer.cleared',
+          1000,
+        );
+
+        expect(client.inputAudioBuffer.length).to.equal(0);
+        expect(client.inputAudioBuffer.offset).to.equal(2400);
+
+        client.createResponse();
+        const { item } = await client.waitForNextCompletedItem();
+        client.realtime.receive(
+          'conversation.item.input_audio_transcription.failed',
+          {
+            event_id: 'evt_failed',
+            type: 'conversation.item.input_audio_transcription.failed',
+            item_id: item.id,
+            content_index: 0,
+            error: { message: 'Failed' },
+          },
+        );
+
+        expect(handlerErrors).to.deep.equal([]);
+        expect(events.map(([eventName]) => eventName)).to.deep.equal([
+          'conversation.item.audio.done',
+          'conversation.item.transcript.done',
+          'conversation.item.transcription.failed',
+        ]);
+        expect(events[1][1].item).to.equal(item);
+        expect(events[1][1].transcript).to.equal('Audio reply');
+        expect(events[2][1].error.message).to.equal('Failed');
+      } finally {
+        client.disconnect();
+      }
+    });
+  });
+
+  describe('RealtimeConversation (out-of-order events)', () => {
+    let server;
+
+    before(async () => {
+      server = new RealtimeMockServer({ apiKey: 'mock-key', debug });
+      await server.listen();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('Should hold events until their item or response is created', () => {
+      const conversation = new RealtimeConversation();
+      const item_id = 'item_late';
+      const early = [
+        createEvent('conversation.item.input_audio_transcription.completed', {
+          item_id,
+          content_index: 0,
+          transcript: 'Hello',
+        }),
+        createEvent('response.output_item.added', {
+          response_id: 'resp_late',
+          item: { id: 'item_reply' },
+        }),
+      ];
+      for (const event of early) {
+        expect(conversation.processEvent(event)).to.deep.equal({
+          item: null,
+          delta: null,
+        });
+      }
+
+      expect(Object.keys(conversation.pendingEvents)).to.deep.equal([
+        item_id,
+        'resp_late',
+      ]);
+
+      const { item } = conversation.processEvent(
+        createEvent('conversation.item.created', {
+          item: {
+            id: item_id,
+            type: 'message',
+            role: 'user',
+            content: [{ type: 'input_audio', transcript: null }],
+          },
+        }),
+      );
+      for (const event of conversation.takePendingEvents(item_id)) {
+        conversation.processEvent(event);
+      }
+
+      expect(item.formatted.transcript).to.equal('Hello');
+      expect(item.content[0].transcript).to.equal('Hello');
+      expect(conversation.takePendingEvents(item_id)).to.deep.equal([]);
+      expect(Object.keys(conversation.pendingEvents)).to.deep.equal([
+        'resp_late',
+      ]);
+
+      // Items that do not exist yet by design are not held back
+      conversation.processEvent(
+        createEvent('input_audio_buffer.speech_started', {
+          item_id: 'item_next',
+          audio_start_ms: 0,
+        }),
+      );
+
+      expect(conversation.pendingEvents).to.not.have.property('item_next');
+    });
+
+    it('Should expire events for items that are never created', () => {
+      const conversation = new RealtimeConversation();
+      conversation.processEvent(
+        createEvent('response.text.delta', {
+          item_id: 'item_missing',
+          content_index: 0,
+          delta: 'Hi',
+        }),
+      );
+      const now = Date.now();
+
+      expect(conversation.expirePendingEvents(now)).to.deep.equal([]);
+
+      const expired = conversation.expirePendingEvents(
+        now + conversation.pendingEventTimeout,
+      );
+
+      expect(expired.map(({ type }) => type)).to.deep.equal([
+        'response.text.delta',
+      ]);
+      expect(conversation.pendingEvents).to.deep.equal({});
+    });
+
+    it('Should ignore events for deleted and evicted items', () => {
+      const conversation = new RealtimeConversation();
+      for (const id of ['item_1', 'item_2', 'item_3']) {
+        conversation.processEvent(
+          createEvent('conversation.item.created', {
+            item: { id, type: 'message', role: 'assistant', content: [] },
+          }),
+        );
+        conversation.processEvent(
+          createEvent('response.output_item.done', {
+            item: { id, status: 'completed' },
+          }),
+        );
+      }
+      conversation.processEvent(
+        createEvent('conversation.item.deleted', { item_id: 'item_3' }),
+      );
+      conversation.evict({ maxItems: 1 });
+
+      for (const item_id of ['item_1', 'item_3']) {
+        expect(
+          conversation.processEvent(
+            createEvent('conversation.item.truncated', {
+              item_id,
+              content_index: 0,
+              audio_end_ms: 0,
+            }),
+          ),
+        ).to.deep.equal({ item: null, delta: null });
+      }
+      expect(conversation.pendingEvents).to.deep.equal({});
+    });
+
+    it('Should replay held events and warn about expired ones in RealtimeClient', async () => {
+      const client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      const events = [];
+      for (const eventName of [
+        'conversation.updated',
+        'conversation.item.transcription.completed',
+        'conversation.warning',
+      ]) {
+        client.on(eventName, (event) => events.push([eventName, event]));
+      }
+      const handlerErrors = [];
+      client.on('handler.error', (event) => handlerErrors.push(event));
+      const receive = (type, data) =>
+        client.realtime.receive(type, createEvent(type, data));
+      await client.connect();
+
+      receive('conversation.item.input_audio_transcription.completed', {
+        item_id: 'item_user',
+        content_index: 0,
+        transcript: 'Hello',
+      });
+
+      expect(events).to.deep.equal([]);
+
+      receive('conversation.item.created', {
+        item: {
+          id: 'item_user',
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_audio', transcript: null }],
+        },
+      });
+      const item = client.conversation.getItem('item_user');
+
+      expect(events.map(([eventName]) => eventName)).to.deep.equal([
+        'conversation.updated',
+        'conversation.updated',
+        'conversation.item.transcription.completed',
+      ]);
+      expect(events[1][1]).to.deep.equal({
+        item,
+        delta: { transcript: 'Hello' },
+      });
+      expect(item.formatted.transcript).to.equal('Hello');
+
+      client.conversation.pendingEventTimeout = 20;
+      const warnings = [];
+      client.on('conversation.warning', (event) => warnings.push(event));
+      receive('response.audio.delta', {
+        item_id: 'item_missing',
+        content_index: 0,
+        delta: '',
+      });
+
+      expect(warnings).to.deep.equal([]);
+      expect(client.pendingEventsTimeout.hasRef()).to.equal(false);
+
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(warnings.length).to.equal(1);
+      expect(warnings[0].events.map(({ item_id }) => item_id)).to.deep.equal([
+        'item_missing',
+      ]);
+
+      receive('response.text.delta', {
+        item_id: 'item_last',
+        content_index: 0,
+        delta: 'Bye',
+      });
+      client.disconnect();
+
+      expect(warnings.length).to.equal(2);
+      expect(warnings[1].events.map(({ item_id }) => item_id)).to.deep.equal([
+        'item_last',
+      ]);
+      expect(client.pendingEventsTimeout).to.equal(null);
+      expect(handlerErrors).to.deep.equal([]);
+    });
+
+    it('Should not hold events after RealtimeClient disconnects', async () => {
+      const client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      const warnings = [];
+      client.on('conversation.warning', (event) => warnings.push(event));
+      await client.connect();
+      const ws = client.realtime.ws;
+      client.disconnect();
+
+      // A late message from the socket we just disconnected from
+      ws.emit(
+        'message',
+        Buffer.from(
+          JSON.stringify(
+            createEvent('response.text.delta', {
+              item_id: 'item_late',
+              content_index: 0,
+              delta: 'Late',
+            }),
+          ),
+        ),
+      );
+
+      expect(client.conversation.pendingEvents).to.deep.equal({});
+      expect(client.pendingEventsTimeout).to.equal(null);
+      expect(warnings).to.deep.equal([]);
+
+      // Events received while disconnected are dropped right away
+      client.realtime.receive(
+        'response.text.delta',
+        createEvent('response.text.delta', {
+          item_id: 'item_late',
+          content_index: 0,
+          delta: 'Late',
+        }),
+      );
+
+      expect(client.conversation.pendingEvents).to.deep.equal({});
+      expect(client.pendingEventsTimeout).to.equal(null);
+      expect(warnings.length).to.equal(1);
+
+      client.reset();
+
+      expect(client.pendingEventsTimeout).to.equal(null);
+    });
+  });
+}
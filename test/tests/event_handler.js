@@ -0,0 +1,351 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeEventHandler } from '../../lib/event_handler.js';
+import { RealtimeClient, RealtimeMockServer } from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeEventHandler', () => {
+    it('Should resolve waitForNext directly from dispatch', async () => {
+      const handler = new RealtimeEventHandler();
+      let event = null;
+      handler.waitForNext('server.session.created').then((e) => (event = e));
+      handler.dispatch('server.session.created', { session: { id: 'sess' } });
+      await Promise.resolve();
+
+      expect(event).to.deep.equal({ session: { id: 'sess' } });
+      expect(handler.eventHandlers['server.session.created']).to.be.empty;
+    });
+
+    it('Should wait for the next event matching a predicate', async () => {
+      const handler = new RealtimeEventHandler();
+      const nextResponseDone = handler.waitForNext('server.response.done', {
+        predicate: (event) => event.response.id === 'resp_2',
+      });
+      handler.dispatch('server.response.done', { response: { id: 'resp_1' } });
+      handler.dispatch('server.response.done', { response: { id: 'resp_2' } });
+      handler.dispatch('server.response.done', { response: { id: 'resp_3' } });
+      const event = await nextResponseDone;
+
+      expect(event.response.id).to.equal('resp_2');
+      expect(handler.eventHandlers['server.response.done']).to.be.empty;
+    });
+
+    it('Should reject when the predicate throws', async () => {
+      const handler = new RealtimeEventHandler();
+      const nextEvent = handler.waitForNext('server.error', {
+        predicate: (event) => event.error.code === 'invalid_value',
+      });
+      handler.dispatch('server.error', {});
+      let err;
+      try {
+        await nextEvent;
+      } catch (e) {
+        err = e;
+      }
+
+      expect(err).to.be.instanceOf(TypeError);
+      expect(handler.eventHandlers['server.error']).to.be.empty;
+    });
+
+    it('Should remove its listener when waitForNext times out', async () => {
+      const handler = new RealtimeEventHandler();
+      const event = await handler.waitForNext('server.response.done', 10);
+
+      expect(event).to.equal(null);
+      expect(handler.eventHandlers['server.response.done']).to.be.empty;
+    });
+
+    it('Should match wildcard subscriptions', () => {
+      const handler = new RealtimeEventHandler();
+      const received = {};
+      for (const pattern of [
+        'server.*',
+        'server.response.*',
+        'server.conversation.item.*',
+        '*.error',
+      ]) {
+        received[pattern] = [];
+        handler.on(pattern, (event) => received[pattern].push(event.type));
+      }
+      for (const type of [
+        'server.response.audio.delta',
+        'server.conversation.item.created',
+        'server.error',
+        'client.error',
+        'client.response.create',
+      ]) {
+        handler.dispatch(type, { type });
+      }
+
+      expect(received['server.*']).to.deep.equal([
+        'server.response.audio.delta',
+        'server.conversation.item.created',
+        'server.error',
+      ]);
+      expect(received['server.response.*']).to.deep.equal([
+        'server.response.audio.delta',
+      ]);
+      expect(received['server.conversation.item.*']).to.deep.equal([
+        'server.conversation.item.created',
+      ]);
+      expect(received['*.error']).to.deep.equal([
+        'server.error',
+        'client.error',
+      ]);
+    });
+
+    it('Should not dispatch wildcard event names', () => {
+      const handler = new RealtimeEventHandler();
+      const received = [];
+      handler.on('server.*', (event) => received.push(event));
+      const event = { type: 'session.created' };
+      handler.dispatch('server.session.created', event);
+      handler.dispatch('server.*', event);
+
+      expect(received).to.deep.equal([event]);
+    });
+
+    it('Should run handlers by priority, then in the order they were added', () => {
+      const handler = new RealtimeEventHandler();
+      const calls = [];
+      handler.on('server.*', () => calls.push('wildcard'));
+      handler.on('server.response.done', () => calls.push('first'));
+      handler.on('server.response.done', () => calls.push('urgent'), {
+        priority: 10,
+      });
+      handler.on('server.response.*', () => calls.push('metrics'), {
+        priority: -1,
+      });
+      handler.onNext('server.*', () => calls.push('next'), { priority: 10 });
+      handler.dispatch('server.response.done', {});
+
+      expect(calls).to.deep.equal([
+        'urgent',
+        'wildcard',
+        'first',
+        'metrics',
+        'next',
+      ]);
+    });
+
+    it('Should return an unsubscribe function', () => {
+      const handler = new RealtimeEventHandler();
+      const calls = [];
+      const callback = () => calls.push('callback');
+      const unsubscribe = handler.on('server.*', callback);
+      const unsubscribeAgain = handler.on('server.*', callback);
+      const unsubscribeNext = handler.onNext('server.*', callback);
+      unsubscribe();
+      unsubscribeNext();
+      handler.dispatch('server.session.created', {});
+
+      expect(calls).to.deep.equal(['callback']);
+
+      handler.off('server.*', unsubscribeAgain);
+      handler.dispatch('server.session.created', {});
+
+      expect(calls).to.deep.equal(['callback']);
+      expect(() => handler.off('server.*', callback)).to.throw(
+        'Could not turn off specified event listener',
+      );
+    });
+
+    it('Should stream buffered events until "close"', async () => {
+      const handler = new RealtimeEventHandler();
+      const stream = handler.events('server.response.*');
+      handler.dispatch('server.response.created', { n: 1 });
+      handler.dispatch('server.session.created', { n: 0 });
+      handler.dispatch('server.response.done', { n: 2 });
+      setTimeout(() => {
+        handler.dispatch('server.response.done', { n: 3 });
+        handler.dispatch('close', { error: false });
+        handler.dispatch('server.response.done', { n: 4 });
+      }, 10);
+      const received = [];
+      for await (const event of stream) {
+        received.push(event.n);
+      }
+
+      expect(received).to.deep.equal([1, 2, 3]);
+      expect(handler.eventHandlers['server.response.*']).to.be.empty;
+      expect(handler.eventHandlers['close']).to.be.empty;
+    });
+
+    it('Should end the stream when aborted or exited', async () => {
+      const handler = new RealtimeEventHandler();
+      const controller = new AbortController();
+      const received = [];
+      setTimeout(() => controller.abort(), 10);
+      for await (const event of handler.events('server.*', {
+        signal: controller.signal,
+      })) {
+        received.push(event);
+      }
+      const stream = handler.events('server.*');
+      handler.dispatch('server.error', { n: 1 });
+      handler.dispatch('server.error', { n: 2 });
+      for await (const event of stream) {
+        received.push(event.n);
+        break;
+      }
+
+      expect(received).to.deep.equal([1]);
+      expect(handler.eventHandlers['server.*']).to.be.empty;
+    });
+
+    it('Should resolve concurrent next() calls in order', async () => {
+      const handler = new RealtimeEventHandler();
+      const stream = handler.events('server.*');
+      const first = stream.next();
+      const second = stream.next();
+      const third = stream.next();
+      handler.dispatch('server.response.created', { n: 1 });
+      handler.dispatch('server.response.done', { n: 2 });
+      handler.dispatch('close', {});
+
+      expect(await first).to.deep.equal({ value: { n: 1 }, done: false });
+      expect(await second).to.deep.equal({ value: { n: 2 }, done: false });
+      expect(await third).to.deep.equal({ value: undefined, done: true });
+    });
+
+    it('Should apply the overflow policy', async () => {
+      const collect = async (stream) => {
+        const values = [];
+        for await (const event of stream) {
+          values.push(event.n);
+        }
+        return values;
+      };
+      const results = {};
+      for (const overflow of ['drop_oldest', 'drop_newest', 'error']) {
+        const handler = new RealtimeEventHandler();
+        const stream = handler.events('delta', { bufferSize: 2, overflow });
+        for (let n = 1; n <= 4; n++) {
+          handler.dispatch('delta', { n });
+        }
+        handler.dispatch('close', {});
+        try {
+          results[overflow] = await collect(stream);
+        } catch (e) {
+          results[overflow] = e;
+        }
+      }
+
+      expect(results['drop_oldest']).to.deep.equal([3, 4]);
+      expect(results['drop_newest']).to.deep.equal([1, 2]);
+      expect(results['error'].message).to.contain('Event stream overflow');
+    });
+
+    it('Should stream RealtimeClient events until it disconnects', async () => {
+      const mockServer = new RealtimeMockServer({ debug });
+      await mockServer.listen();
+      mockServer.queueResponse({ text: 'Hello world' });
+      const client = new RealtimeClient({ url: mockServer.url, debug });
+      client.updateSession({ modalities: ['text'] });
+      await client.connect();
+      const deltas = [];
+      client.on('conversation.item.completed', ({ item }) => {
+        if (item.role === 'assistant') {
+          client.disconnect();
+        }
+      });
+      client.sendUserMessageContent([{ type: 'input_text', text: 'Hi' }]);
+      for await (const { delta } of client.events('conversation.updated')) {
+        delta?.text && deltas.push(delta.text);
+      }
+      await mockServer.close();
+
+      expect(deltas.join('')).to.equal('Hello world');
+    });
+
+    it('Should isolate handlers that throw or reject', async () => {
+      const handler = new RealtimeEventHandler();
+      const calls = [];
+      const errors = [];
+      handler.on('handler.error', (event) => errors.push(event));
+      handler.on('server.session.created', () => {
+        throw new Error('Sync failure');
+      });
+      handler.on('server.session.created', async () => {
+        throw new Error('Async failure');
+      });
+      handler.on('server.session.created', () => calls.push('on'));
+      handler.onNext('server.session.created', () => {
+        throw new Error('Next failure');
+      });
+      handler.onNext('server.session.created', () => calls.push('onNext'));
+      const event = { session: { id: 'sess' } };
+      handler.dispatch('server.session.created', event);
+      await new Promise((r) => setTimeout(r, 0));
+
+      expect(calls).to.deep.equal(['on', 'onNext']);
+      expect(handler.nextEventHandlers['server.session.created']).to.be.empty;
+      expect(errors.map(({ error }) => error.message)).to.deep.equal([
+        'Sync failure',
+        'Next failure',
+        'Async failure',
+      ]);
+      expect(errors[0].eventName).to.equal('server.session.created');
+      expect(errors[0].event).to.equal(event);
+    });
+
+    it('Should log handler errors without "handler.error" listeners', () => {
+      const handler = new RealtimeEventHandler();
+      const logged = [];
+      const consoleError = console.error;
+      console.error = (...args) => logged.push(args);
+      try {
+        handler.on('handler.error', () => {
+          throw new Error('Reporting failure');
+        });
+        handler.on('server.error', () => {
+          throw new Error('Handler failure');
+        });
+        handler.dispatch('server.error', {});
+        handler.off('handler.error');
+        handler.dispatch('server.error', {});
+      } finally {
+        console.error = consoleError;
+      }
+
+      expect(
+        logged.map(([message, error]) => [message, error.message]),
+      ).to.deep.equal([
+        ['Error in "handler.error" handler:', 'Reporting failure'],
+        ['Error in "server.error" handler:', 'Handler failure'],
+      ]);
+    });
+
+    it('Should keep the RealtimeClient conversation in sync when handlers throw', async () => {
+      const mockServer = new RealtimeMockServer({ debug });
+      await mockServer.listen();
+      mockServer.queueResponse({ text: 'Still here' });
+      const client = new RealtimeClient({ url: mockServer.url, debug });
+      client.updateSession({ modalities: ['text'] });
+      const errors = [];
+      client.on('handler.error', ({ eventName }) => errors.push(eventName));
+      client.on('conversation.updated', () => {
+        throw new Error('Broken UI');
+      });
+      client.realtime.on('server.response.text.delta', () => {
+        throw new Error('Broken metrics');
+      });
+      await client.connect();
+      const nextResponseDone = client.realtime.waitForNext(
+        'server.response.done',
+        1000,
+      );
+      client.sendUserMessageContent([{ type: 'input_text', text: 'Hi' }]);
+      await nextResponseDone;
+      const items = client.conversation.getItems();
+      client.disconnect();
+      await mockServer.close();
+
+      expect(items[1].formatted.text).to.equal('Still here');
+      expect(items[1].status).to.equal('completed');
+      expect(errors).to.include('conversation.updated');
+      expect(errors).to.include('server.response.text.delta');
+    });
+  });
+}
@@ -0,0 +1,103 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import {
+  RealtimeClient,
+  RealtimeLogger,
+  RealtimeMockServer,
+} from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeLogger', () => {
+    it('Should truncate audio payloads and redact credentials', () => {
+      const logger = new RealtimeLogger({ maxPayloadLength: 8 });
+      const audio = 'A'.repeat(1000);
+      const sanitized = logger.sanitize({
+        append: { type: 'input_audio_buffer.append', audio },
+        delta: { type: 'response.audio.delta', delta: audio },
+        transcript: { type: 'response.audio_transcript.delta', delta: audio },
+        headers: { Authorization: 'Bearer sk-123', 'api-key': 'sk-456' },
+        session: { client_secret: { value: 'ek_123', expires_at: 0 } },
+        protocols: ['realtime', 'openai-insecure-api-key.sk-789'],
+      });
+
+      expect(sanitized.append.audio).to.equal('AAAAAAAA... (1000 chars)');
+      expect(sanitized.delta.delta).to.equal('AAAAAAAA... (1000 chars)');
+      expect(sanitized.transcript.delta).to.equal(audio);
+      expect(sanitized.headers.Authorization).to.equal('[REDACTED]');
+      expect(sanitized.headers['api-key']).to.equal('[REDACTED]');
+      expect(sanitized.session.client_secret).to.equal('[REDACTED]');
+      expect(sanitized.protocols[1]).to.equal(
+        'openai-insecure-api-key.[REDACTED]',
+      );
+    });
+
+    it('Should filter by level and event type', () => {
+      const logs = [];
+      const logger = new RealtimeLogger({
+        logger: (level, message, fields) => logs.push({ level, message }),
+        level: 'debug',
+        events: ['response.*', 'session.created'],
+        ignoreEvents: ['response.audio.delta'],
+      });
+      logger.event('received', { type: 'session.created' });
+      logger.event('received', { type: 'response.audio.delta' });
+      logger.event('received', { type: 'response.done' });
+      logger.event('sent', { type: 'input_audio_buffer.append' });
+      logger.level = 'warn';
+      logger.info('Hidden');
+      logger.error('Shown');
+
+      expect(logs.map((log) => log.message)).to.deep.equal([
+        'received: session.created',
+        'received: response.done',
+        'Shown',
+      ]);
+      expect(logs[2].level).to.equal('error');
+    });
+
+    it('Should write structured fields to pino-style loggers', () => {
+      const logs = [];
+      const pino = {};
+      for (const level of ['debug', 'info', 'warn', 'error']) {
+        pino[level] = (fields, message) =>
+          logs.push({ level, fields, message });
+      }
+      const logger = new RealtimeLogger({ name: 'Test', logger: pino });
+      logger.warn('Reconnecting', { attempt: 2 });
+
+      expect(logs).to.deep.equal([
+        {
+          level: 'warn',
+          fields: { name: 'Test', attempt: 2 },
+          message: 'Reconnecting',
+        },
+      ]);
+    });
+
+    it('Should log sanitized events from RealtimeClient', async () => {
+      const mockServer = new RealtimeMockServer({ apiKey: 'sk-secret', debug });
+      await mockServer.listen();
+      const logs = [];
+      const client = new RealtimeClient({
+        url: mockServer.url,
+        apiKey: 'sk-secret',
+        logger: (level, message, fields) => logs.push(fields),
+      });
+      await client.connect();
+      client.appendInputAudio(new Int16Array(4000));
+      await client.realtime.waitForNext('server.session.updated', 1000);
+      client.disconnect();
+      await mockServer.close();
+      const output = JSON.stringify(logs);
+      const append = logs.find(
+        (fields) => fields.event_type === 'input_audio_buffer.append',
+      );
+
+      expect(logs.some((fields) => fields.name === 'Websocket')).to.equal(true);
+      expect(append.direction).to.equal('sent');
+      expect(append.event.audio).to.match(/\.\.\. \(10668 chars\)$/);
+      expect(output).to.not.contain('sk-secret');
+    });
+  });
+}
@@ -0,0 +1,212 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeClient, RealtimeMockServer } from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeMockServer', () => {
+    let server;
+    let client;
+    let realtimeEvents = [];
+
+    before(async () => {
+      server = new RealtimeMockServer({ apiKey: 'mock-key', debug });
+      await server.listen();
+    });
+
+    beforeEach(() => {
+      realtimeEvents = [];
+      client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      client.on('realtime.event', (realtimeEvent) =>
+        realtimeEvents.push(realtimeEvent),
+      );
+    });
+
+    afterEach(() => {
+      client.disconnect();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('Should reject connections with an incorrect API key', async () => {
+      client = new RealtimeClient({ url: server.url, apiKey: 'wrong-key' });
+      const nextError = client.realtime.waitForNext('server.error', 1000);
+      await client.connect();
+      const event = await nextError;
+
+      expect(event.error.code).to.equal('invalid_api_key');
+      expect(event.error.message).to.contain('Incorrect API key provided');
+    });
+
+    it('Should send "session.created" and acknowledge "session.update"', async () => {
+      client.updateSession({ instructions: 'Be a mock', voice: 'alloy' });
+      const nextSessionUpdated = client.realtime.waitForNext(
+        'server.session.updated',
+        1000,
+      );
+      await client.connect();
+      await client.waitForSessionCreated();
+      const { session } = await nextSessionUpdated;
+      const eventTypes = realtimeEvents.map(({ source, event }) => [
+        source,
+        event.type,
+      ]);
+
+      expect(eventTypes).to.deep.include(['client', 'session.update']);
+      expect(eventTypes).to.deep.include(['server', 'session.created']);
+      expect(session.id).to.match(/^sess_/);
+      expect(session.instructions).to.equal('Be a mock');
+      expect(session.voice).to.equal('alloy');
+    });
+
+    it('Should stream a scripted text response', async () => {
+      server.queueResponse({ text: 'Hello there, San Francisco!' });
+      client.updateSession({ modalities: ['text'] });
+      await client.connect();
+      const nextResponseDone = client.realtime.waitForNext(
+        'server.response.done',
+        1000,
+      );
+      client.sendUserMessageContent([{ type: 'input_text', text: 'Hi' }]);
+      const { response } = await nextResponseDone;
+      const [userItem, item] = client.conversation.getItems();
+
+      expect(userItem.role).to.equal('user');
+      expect(userItem.formatted.text).to.equal('Hi');
+
+      expect(item.role).to.equal('assistant');
+      expect(item.status).to.equal('completed');
+      expect(item.formatted.text).to.equal('Hello there, San Francisco!');
+      expect(response.status).to.equal('completed');
+      expect(response.output[0].id).to.equal(item.id);
+      expect(response.usage.output_tokens).to.be.greaterThan(0);
+    });
+
+    it('Should stream a scripted audio response with transcript', async () => {
+      const audio = new Int16Array(4800).fill(7);
+      server.queueResponse({ transcript: 'Audio reply', audio });
+      await client.connect();
+      client.createResponse();
+      const { item } = await client.waitForNextCompletedItem();
+
+      expect(item.formatted.transcript).to.equal('Audio reply');
+      expect(item.formatted.audio.length).to.equal(4800);
+      expect(item.formatted.audio[4799]).to.equal(7);
+    });
+
+    it('Should commit input audio as a user item', async () => {
+      await client.connect();
+      client.appendInputAudio(new Int16Array(2400));
+      client.createResponse();
+      const { item } = await client.waitForNextItem();
+
+      expect(item.role).to.equal('user');
+      expect(item.content[0].type).to.equal('input_audio');
+      expect(item.formatted.audio.length).to.equal(2400);
+    });
+
+    it('Should call tools with scripted function calls', async () => {
+      server.queueResponse({
+        functionCall: { name: 'get_weather', arguments: { city: 'Toronto' } },
+      });
+      server.queueResponse({ text: 'It is sunny in Toronto.' });
+      let toolArgs;
+      client.addTool(
+        { name: 'get_weather', description: 'Weather', parameters: {} },
+        (args) => {
+          toolArgs = args;
+          return { weather: 'sunny' };
+        },
+      );
+      client.updateSession({ modalities: ['text'] });
+      const completedItems = [];
+      client.on('conversation.item.completed', ({ item }) =>
+        completedItems.push(item),
+      );
+      await client.connect();
+      client.createResponse();
+      for (let i = 0; i < 100 && completedItems.length < 3; i++) {
+        await new Promise((r) => setTimeout(r, 10));
+      }
+      const [callItem, outputItem, item] = completedItems;
+
+      expect(callItem.type).to.equal('function_call');
+      expect(callItem.formatted.tool.arguments).to.equal('{"city":"Toronto"}');
+      expect(toolArgs).to.deep.equal({ city: 'Toronto' });
+      expect(outputItem.type).to.equal('function_call_output');
+      expect(outputItem.formatted.output).to.equal('{"weather":"sunny"}');
+      expect(item.formatted.text).to.equal('It is sunny in Toronto.');
+    });
+
+    it('Should cancel a response between events without a delay', async () => {
+      server.queueResponse({
+        text: 'A long answer that will be cancelled',
+        functionCall: { name: 'never_called', arguments: {} },
+      });
+      client.updateSession({ modalities: ['text'] });
+      await client.connect();
+      const off = client.realtime.on('server.response.text.delta', () => {
+        off();
+        client.realtime.send('response.cancel');
+      });
+      const nextResponseDone = client.realtime.waitForNext(
+        'server.response.done',
+        1000,
+      );
+      client.createResponse();
+      const { response } = await nextResponseDone;
+      const [item] = client.conversation.getItems();
+
+      expect(response.status).to.equal('cancelled');
+      expect(response.status_details.reason).to.equal('client_cancelled');
+      expect(response.output.map(({ id }) => id)).to.deep.equal([item.id]);
+      expect(response.output[0].status).to.equal('incomplete');
+      expect(client.conversation.getItems().length).to.equal(1);
+      expect(item.formatted.text).to.not.equal(
+        'A long answer that will be cancelled',
+      );
+    });
+
+    it('Should send an error for unknown events', async () => {
+      await client.connect();
+      client.realtime.send('not.a.real.event');
+      const event = await client.realtime.waitForNext('server.error', 1000);
+
+      expect(event.error.code).to.equal('unknown_event');
+    });
+
+    it('Should write logs to its logger', async () => {
+      const logs = [];
+      const loggedServer = new RealtimeMockServer({
+        logger: (level, message, fields) =>
+          logs.push({ level, message, fields }),
+      });
+      try {
+        await loggedServer.listen();
+        client = new RealtimeClient({ url: loggedServer.url });
+        const nextSessionUpdated = client.realtime.waitForNext(
+          'server.session.updated',
+          1000,
+        );
+        await client.connect();
+        await nextSessionUpdated;
+        client.disconnect();
+      } finally {
+        await loggedServer.close();
+      }
+
+      expect(logs[0].message).to.contain('Listening on');
+      expect(logs[0].fields.name).to.equal('MockServer');
+      expect(logs.map(({ message }) => message)).to.include.members([
+        'sent: session.created',
+        'received: session.update',
+      ]);
+    });
+  });
+}
@@ -0,0 +1,142 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeClient, RealtimeMockServer } from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeClient (rate limits)', () => {
+    let server;
+    let client;
+
+    const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+    const updateRateLimits = (tokens, requests = 1000) =>
+      client.realtime.receive('rate_limits.updated', {
+        event_id: 'evt_rate_limits',
+        type: 'rate_limits.updated',
+        rate_limits: [
+          {
+            name: 'requests',
+            limit: 1000,
+            remaining: requests,
+            reset_seconds: 1,
+          },
+          {
+            name: 'tokens',
+            limit: 10000,
+            remaining: tokens,
+            reset_seconds: 0.1,
+          },
+        ],
+      });
+
+    before(async () => {
+      server = new RealtimeMockServer({ apiKey: 'mock-key', debug });
+      await server.listen();
+    });
+
+    afterEach(() => {
+      client.disconnect();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('Should expose the latest rate limits', async () => {
+      client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      client.updateSession({ modalities: ['text'] });
+      await client.connect();
+      const nextUpdate = client.waitForNext('rate_limits.updated', 1000);
+      const before = Date.now();
+      client.createResponse();
+      const { rateLimits } = await nextUpdate;
+
+      expect(rateLimits).to.equal(client.rateLimits);
+      expect(rateLimits.requests.limit).to.equal(1000);
+      expect(rateLimits.requests.remaining).to.equal(999);
+      expect(rateLimits.tokens.remaining).to.be.lessThan(100000);
+      expect(rateLimits.tokens.reset_at).to.be.at.least(before + 600);
+    });
+
+    it('Should warn once when a rate limit runs low', async () => {
+      client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      const warnings = [];
+      client.on('rate_limits.warning', (event) => warnings.push(event));
+      await client.connect();
+      updateRateLimits(5000);
+      updateRateLimits(900);
+      updateRateLimits(800);
+
+      expect(warnings.length).to.equal(1);
+      expect(warnings[0].rateLimit.name).to.equal('tokens');
+      expect(warnings[0].rateLimit.remaining).to.equal(900);
+
+      updateRateLimits(5000);
+      updateRateLimits(10, 10);
+
+      expect(warnings.length).to.equal(3);
+      expect(warnings.map(({ rateLimit }) => rateLimit.name)).to.deep.equal([
+        'tokens',
+        'requests',
+        'tokens',
+      ]);
+    });
+
+    it('Should delay responses while tokens are low when throttling', async () => {
+      client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+        throttle: { minRemainingTokens: 500 },
+      });
+      const sent = [];
+      client.realtime.on('client.response.create', () => sent.push(Date.now()));
+      const throttled = [];
+      client.on('rate_limits.throttled', (event) => throttled.push(event));
+      await client.connect();
+      updateRateLimits(100);
+      const start = Date.now();
+      client.createResponse();
+      client.createResponse();
+
+      expect(sent.length).to.equal(0);
+      expect(throttled.length).to.equal(1);
+      expect(throttled[0].rateLimit.name).to.equal('tokens');
+      expect(throttled[0].delay).to.be.within(1, 100);
+
+      await sleep(150);
+
+      expect(sent.length).to.equal(1);
+      expect(sent[0] - start).to.be.at.least(90);
+
+      updateRateLimits(5000);
+      client.createResponse();
+
+      expect(sent.length).to.equal(2);
+    });
+
+    it('Should not throttle unless enabled', async () => {
+      client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      const sent = [];
+      client.realtime.on('client.response.create', (event) => sent.push(event));
+      await client.connect();
+      updateRateLimits(0, 0);
+      client.createResponse();
+
+      expect(sent.length).to.equal(1);
+      expect(client.throttleConfig).to.equal(null);
+    });
+  });
+}
@@ -0,0 +1,130 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import {
+  RealtimeClient,
+  RealtimeMockServer,
+  RealtimeRecorder,
+  RealtimeReplayTransport,
+} from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeRecorder and RealtimeReplayTransport', () => {
+    let server;
+    let recording;
+    let recordedItems;
+
+    before(async () => {
+      server = new RealtimeMockServer({ debug });
+      await server.listen();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('Should record client and server events as JSONL', async () => {
+      const lines = [];
+      const recorder = new RealtimeRecorder({
+        stream: { write: (chunk) => lines.push(chunk) },
+      });
+      const client = new RealtimeClient({ url: server.url, debug });
+      recorder.attach(client);
+      server.queueResponse({ transcript: 'Recorded reply' });
+      await client.connect();
+      const nextResponseDone = client.realtime.waitForNext(
+        'server.response.done',
+        1000,
+      );
+      client.sendUserMessageContent([{ type: 'input_text', text: 'Record' }]);
+      await nextResponseDone;
+      recorder.detach();
+      recordedItems = client.conversation.getItems();
+      client.disconnect();
+      recording = recorder.toJSONL();
+      const records = RealtimeRecorder.parseJSONL(recording);
+
+      expect(lines.join('')).to.equal(recording);
+      expect(records.length).to.equal(recorder.records.length);
+      const eventTypes = records.map(({ source, event }) => [
+        source,
+        event.type,
+      ]);
+
+      expect(eventTypes).to.deep.include(['client', 'session.update']);
+      expect(eventTypes).to.deep.include(['server', 'session.created']);
+      expect(eventTypes).to.deep.include(['server', 'response.done']);
+      for (const record of records) {
+        expect(Date.parse(record.time)).to.be.a('number');
+      }
+    });
+
+    it('Should replay a recording into a RealtimeClient', async () => {
+      const transport = new RealtimeReplayTransport({ recording });
+      const client = new RealtimeClient({ transport });
+      const replayDone = transport.waitForNext('replay.done', 1000);
+      await client.connect();
+      const { count } = await replayDone;
+      const items = client.conversation.getItems();
+
+      expect(count).to.equal(
+        RealtimeRecorder.parseJSONL(recording).filter(
+          (r) => r.source === 'server',
+        ).length,
+      );
+      expect(items.length).to.equal(recordedItems.length);
+      expect(items[0].formatted.text).to.equal('Record');
+      expect(items[1].formatted.transcript).to.equal('Recorded reply');
+      expect(items[1].formatted.audio).to.deep.equal(
+        recordedItems[1].formatted.audio,
+      );
+
+      client.disconnect();
+    });
+
+    it('Should replay the same records identically more than once', async () => {
+      const records = RealtimeRecorder.parseJSONL(recording);
+      const replay = async () => {
+        const transport = new RealtimeReplayTransport({ recording: records });
+        const client = new RealtimeClient({ transport });
+        const replayDone = transport.waitForNext('replay.done', 1000);
+        await client.connect();
+        await replayDone;
+        client.disconnect();
+        return JSON.stringify(client.conversation);
+      };
+      const first = await replay();
+      const second = await replay();
+
+      expect(second).to.equal(first);
+      expect(records).to.deep.equal(RealtimeRecorder.parseJSONL(recording));
+    });
+
+    it('Should replay at the original timing when "speed" is set', async () => {
+      const records = [
+        {
+          time: '2024-10-01T00:00:00.000Z',
+          source: 'server',
+          event: { event_id: 'event_1', type: 'session.created', session: {} },
+        },
+        {
+          time: '2024-10-01T00:00:00.100Z',
+          source: 'server',
+          event: { event_id: 'event_2', type: 'session.updated', session: {} },
+        },
+      ];
+      const transport = new RealtimeReplayTransport({
+        recording: records,
+        speed: 2,
+      });
+      const t0 = Date.now();
+      const replayDone = transport.waitForNext('replay.done', 1000);
+      await transport.connect();
+      await replayDone;
+
+      expect(Date.now() - t0).to.be.at.least(45);
+
+      transport.disconnect();
+    });
+  });
+}
@@ -0,0 +1,232 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import {
+  RealtimeAPI,
+  RealtimeClient,
+  RealtimeMockServer,
+  RealtimeRelay,
+} from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeRelay', () => {
+    let upstream;
+    let relay;
+    let client;
+
+    before(async () => {
+      upstream = new RealtimeMockServer({ apiKey: 'server-key', debug });
+      await upstream.listen();
+    });
+
+    afterEach(async () => {
+      client?.disconnect();
+      await relay?.close();
+    });
+
+    after(async () => {
+      await upstream.close();
+    });
+
+    it('Should relay events both ways using the server API key', async () => {
+      relay = new RealtimeRelay({
+        url: upstream.url,
+        apiKey: 'server-key',
+        debug,
+      });
+      await relay.listen();
+      upstream.queueResponse({ text: 'Relayed!' });
+      client = new RealtimeClient({ url: relay.url, debug });
+      client.updateSession({ modalities: ['text'] });
+      const nextSessionCreated = client.realtime.waitForNext(
+        'server.session.created',
+        1000,
+      );
+      const nextResponseDone = client.realtime.waitForNext(
+        'server.response.done',
+        1000,
+      );
+      await client.connect();
+      client.sendUserMessageContent([{ type: 'input_text', text: 'Hi' }]);
+      const sessionCreated = await nextSessionCreated;
+      await nextResponseDone;
+      const [userItem, assistantItem] = client.conversation.getItems();
+
+      expect(sessionCreated).to.exist;
+      expect(sessionCreated.session.model).to.equal(
+        'gpt-4o-realtime-preview-2024-10-01',
+      );
+      expect(userItem.formatted.text).to.equal('Hi');
+      expect(assistantItem.formatted.text).to.equal('Relayed!');
+    });
+
+    it('Should allow hooks to rewrite and block client events', async () => {
+      relay = new RealtimeRelay({
+        url: upstream.url,
+        apiKey: 'server-key',
+        onClientEvent: (event) => {
+          if (event.type === 'session.update') {
+            const { instructions, tools, ...session } = event.session;
+            return { ...event, session };
+          } else if (event.type === 'conversation.item.delete') {
+            return null;
+          }
+          return event;
+        },
+        debug,
+      });
+      await relay.listen();
+      client = new RealtimeClient({ url: relay.url, debug });
+      client.updateSession({
+        instructions: 'Ignore the server',
+        voice: 'alloy',
+      });
+      const nextSessionUpdated = client.realtime.waitForNext(
+        'server.session.updated',
+        1000,
+      );
+      await client.connect();
+      const { session } = await nextSessionUpdated;
+
+      expect(session.voice).to.equal('alloy');
+      expect(session.instructions).to.equal('');
+
+      const nextError = client.realtime.waitForNext('server.error', 1000);
+      client.deleteItem('item_1');
+      const { error } = await nextError;
+
+      expect(error.code).to.equal('event_blocked');
+      expect(error.message).to.contain('conversation.item.delete');
+    });
+
+    it('Should allow hooks to rewrite server events', async () => {
+      relay = new RealtimeRelay({
+        url: upstream.url,
+        apiKey: 'server-key',
+        onServerEvent: (event) => {
+          if (event.type === 'session.created') {
+            return { ...event, session: { ...event.session, id: 'hidden' } };
+          }
+          return event;
+        },
+        debug,
+      });
+      await relay.listen();
+      client = new RealtimeClient({ url: relay.url, debug });
+      const nextSessionCreated = client.realtime.waitForNext(
+        'server.session.created',
+        1000,
+      );
+      await client.connect();
+      const { session } = await nextSessionCreated;
+
+      expect(session.id).to.equal('hidden');
+    });
+
+    it('Should only use browser-requested models that are allowed', async () => {
+      const connect = async (model, headers = {}) => {
+        const realtime = new RealtimeAPI({ url: relay.url, headers, debug });
+        const nextEvent = Promise.race([
+          realtime.waitForNext('server.session.created', 1000),
+          realtime.waitForNext('server.error', 1000),
+        ]);
+        await realtime.connect({ model });
+        const event = await nextEvent;
+        realtime.disconnect();
+        return event;
+      };
+      relay = new RealtimeRelay({
+        url: upstream.url,
+        apiKey: 'server-key',
+        allowedModels: ['gpt-4o-mini-realtime-preview'],
+        authorize: (request) =>
+          request.headers['x-user'] === 'admin'
+            ? { model: 'gpt-chosen' }
+            : true,
+        debug,
+      });
+      await relay.listen();
+
+      const rejected = await connect('gpt-expensive');
+
+      expect(rejected.error.code).to.equal('model_not_allowed');
+
+      const allowed = await connect('gpt-4o-mini-realtime-preview');
+
+      expect(allowed.session.model).to.equal('gpt-4o-mini-realtime-preview');
+
+      const chosen = await connect('gpt-expensive', { 'X-User': 'admin' });
+
+      expect(chosen.session.model).to.equal('gpt-chosen');
+    });
+
+    it('Should log upstream errors without sending them to the browser', async () => {
+      const logs = [];
+      // Nothing listens on port 1, so the upstream connection is refused
+      const unreachableUrl = 'ws://127.0.0.1:1';
+      relay = new RealtimeRelay({
+        url: unreachableUrl,
+        apiKey: 'server-key',
+        logger: (level, message, fields) =>
+          level === 'error' && logs.push({ message, fields }),
+      });
+      await relay.listen();
+      const realtime = new RealtimeAPI({ url: relay.url, debug });
+      const nextError = realtime.waitForNext('server.error', 1000);
+      await realtime.connect();
+      const { error } = await nextError;
+      realtime.disconnect();
+
+      expect(error.code).to.equal('upstream_connection_failed');
+      expect(error.message).to.equal('Could not connect to the Realtime API');
+      expect(JSON.stringify(logs)).to.contain(unreachableUrl);
+    });
+
+    it('Should log hook errors without sending them to the browser', async () => {
+      const logs = [];
+      relay = new RealtimeRelay({
+        url: upstream.url,
+        apiKey: 'server-key',
+        logger: (level, message, fields) =>
+          level === 'error' && logs.push({ message, fields }),
+        onClientEvent: () => {
+          throw new Error('Hook internals');
+        },
+      });
+      await relay.listen();
+      const realtime = new RealtimeAPI({ url: relay.url, debug });
+      const nextSessionCreated = realtime.waitForNext(
+        'server.session.created',
+        1000,
+      );
+      await realtime.connect();
+      await nextSessionCreated;
+      const nextError = realtime.waitForNext('server.error', 1000);
+      realtime.send('response.create');
+      const { error } = await nextError;
+      realtime.disconnect();
+
+      expect(error.code).to.equal('relay_error');
+      expect(error.message).to.equal('Could not relay event');
+      expect(JSON.stringify(logs)).to.contain('Hook internals');
+    });
+
+    it('Should reject unauthorized browser connections', async () => {
+      relay = new RealtimeRelay({
+        url: upstream.url,
+        apiKey: 'server-key',
+        authorize: (request) =>
+          request.headers['authorization'] === 'Bearer user-token',
+        debug,
+      });
+      await relay.listen();
+      client = new RealtimeClient({ url: relay.url, debug });
+      const nextClose = client.realtime.waitForNext('close', 1000);
+      await client.connect();
+      await nextClose;
+
+      expect(client.isConnected()).to.equal(false);
+      expect(upstream.connections.length).to.equal(0);
+    });
+  });
+}
@@ -0,0 +1,199 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import http from 'node:http';
+
+import { RealtimeSessions } from '../../index.js';
+
+// Other test files remove the global fetch to simulate old environments
+const fetch = globalThis.fetch;
+
+/**
+ * Starts an HTTP server on a random port and returns its url
+ */
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, resolve));
+  return `http://localhost:${server.address().port}`;
+}
+
+/**
+ * Closes an HTTP server and any open connections to it
+ */
+async function close(server) {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+}
+
+export async function run() {
+  describe('RealtimeSessions', () => {
+    let api;
+    let url;
+    let requests = [];
+
+    before(async () => {
+      api = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', (chunk) => (body += chunk));
+        request.on('end', () => {
+          requests.push({ headers: request.headers, body: JSON.parse(body) });
+          if (request.headers['authorization'] !== 'Bearer server-key') {
+            response.writeHead(401, { 'Content-Type': 'application/json' });
+            response.end(
+              JSON.stringify({
+                error: { message: 'Incorrect API key provided' },
+              }),
+            );
+            return;
+          }
+          response.writeHead(200, { 'Content-Type': 'application/json' });
+          response.end(
+            JSON.stringify({
+              id: 'sess_001',
+              object: 'realtime.session',
+              ...JSON.parse(body),
+              client_secret: { value: 'ek_abc123', expires_at: 1234567890 },
+            }),
+          );
+        });
+      });
+      url = `${await listen(api)}/v1/realtime/sessions`;
+    });
+
+    beforeEach(() => {
+      requests = [];
+    });
+
+    after(async () => {
+      await close(api);
+    });
+
+    it('Should create a session and return its ephemeral key', async () => {
+      const result = await RealtimeSessions.create(
+        { modalities: ['text', 'audio'], voice: 'alloy' },
+        { apiKey: 'server-key', url, fetch },
+      );
+
+      expect(result.ephemeral_key).to.equal('ek_abc123');
+      expect(result.expires_at).to.equal(1234567890);
+      expect(result.session.id).to.equal('sess_001');
+      expect(result.session.voice).to.equal('alloy');
+      expect(result.session.client_secret).to.not.exist;
+      expect(requests[0].headers['openai-beta']).to.equal('realtime=v1');
+      expect(requests[0].body.model).to.equal(
+        'gpt-4o-realtime-preview-2024-10-01',
+      );
+    });
+
+    it('Should validate the session config before creating it', async () => {
+      let err;
+      try {
+        await RealtimeSessions.create(
+          { modalities: ['text', 'audio'], voice: 'robot' },
+          { apiKey: 'server-key', url, fetch },
+        );
+      } catch (e) {
+        err = e;
+      }
+
+      expect(err).to.exist;
+      expect(err.message).to.equal('Invalid voice: robot');
+      expect(requests.length).to.equal(0);
+    });
+
+    it('Should surface API errors', async () => {
+      let err;
+      try {
+        await RealtimeSessions.create(
+          {},
+          {
+            apiKey: 'wrong-key',
+            url,
+            fetch,
+          },
+        );
+      } catch (e) {
+        err = e;
+      }
+
+      expect(err).to.exist;
+      expect(err.message).to.contain('401');
+      expect(err.message).to.contain('Incorrect API key provided');
+    });
+
+    it('Should serve ephemeral keys as a request handler', async () => {
+      const server = http.createServer(
+        RealtimeSessions.createRequestHandler({
+          apiKey: 'server-key',
+          url,
+          fetch,
+          sessionConfig: (request) => ({
+            instructions: `Hello ${request.headers['x-user']}`,
+          }),
+        }),
+      );
+      let response, data, postResponse, deleteResponse;
+      try {
+        const serverUrl = await listen(server);
+        response = await fetch(serverUrl, { headers: { 'X-User': 'Ada' } });
+        data = await response.json();
+        postResponse = await fetch(serverUrl, { method: 'POST' });
+        deleteResponse = await fetch(serverUrl, { method: 'DELETE' });
+      } finally {
+        await close(server);
+      }
+
+      expect(response.status).to.equal(200);
+      expect(data.ephemeral_key).to.equal('ek_abc123');
+      expect(data.session.instructions).to.equal('Hello Ada');
+      expect(postResponse.status).to.equal(200);
+      expect(deleteResponse.status).to.equal(405);
+      expect(deleteResponse.headers.get('allow')).to.equal('GET, POST');
+      expect(requests.length).to.equal(2);
+    });
+
+    it('Should only accept the configured request methods', async () => {
+      const server = http.createServer(
+        RealtimeSessions.createRequestHandler({
+          apiKey: 'server-key',
+          url,
+          fetch,
+          methods: ['POST'],
+        }),
+      );
+      let response;
+      try {
+        response = await fetch(await listen(server));
+      } finally {
+        await close(server);
+      }
+
+      expect(response.status).to.equal(405);
+      expect(response.headers.get('allow')).to.equal('POST');
+      expect(requests.length).to.equal(0);
+    });
+
+    it('Should log request handler errors without sending them to the browser', async () => {
+      const logs = [];
+      const server = http.createServer(
+        RealtimeSessions.createRequestHandler({
+          apiKey: 'wrong-key',
+          url,
+          fetch,
+          logger: { error: (...args) => logs.push(args) },
+        }),
+      );
+      let response, data;
+      try {
+        response = await fetch(await listen(server));
+        data = await response.json();
+      } finally {
+        await close(server);
+      }
+
+      expect(response.status).to.equal(500);
+      expect(data.error.message).to.equal('Could not create session');
+      expect(JSON.stringify(data)).to.not.contain('Incorrect API key');
+      expect(JSON.stringify(logs)).to.contain('Incorrect API key provided');
+    });
+  });
+}
@@ -0,0 +1,106 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import { RealtimeConversation, RealtimeTranscript } from '../../index.js';
+import { createItem } from '../utils.js';
+
+export async function run() {
+  describe('RealtimeTranscript', () => {
+    const seconds = (n) => new Int16Array(24_000 * n);
+
+    const createConversation = () => {
+      const conversation = new RealtimeConversation();
+      const userItem = createItem(
+        conversation,
+        {
+          id: 'item_1',
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_audio', transcript: null }],
+        },
+        seconds(2),
+      );
+      userItem.formatted.transcript = 'What is the weather in Toronto?';
+      createItem(conversation, {
+        id: 'item_2',
+        type: 'function_call',
+        call_id: 'call_1',
+        name: 'get_weather',
+        arguments: '{"city":"Toronto"}',
+      });
+      createItem(conversation, {
+        id: 'item_3',
+        type: 'function_call_output',
+        call_id: 'call_1',
+        output: '{"weather":"sunny"}',
+      });
+      const assistantItem = createItem(
+        conversation,
+        { id: 'item_4', type: 'message', role: 'assistant', content: [] },
+        seconds(3),
+      );
+      assistantItem.formatted.transcript = 'It is sunny & warm in Toronto.';
+      return conversation;
+    };
+
+    it('Should export a Markdown transcript with tool calls inline', () => {
+      const markdown = RealtimeTranscript.toMarkdown(createConversation(), {
+        title: 'Call',
+        labels: { assistant: 'Agent' },
+      });
+
+      expect(markdown).to.equal(
+        [
+          '# Call',
+          '',
+          '**User:** What is the weather in Toronto?',
+          '',
+          '> **Agent** called `get_weather` with `{"city":"Toronto"}`',
+          '',
+          '> **Tool** `get_weather` returned `{"weather":"sunny"}`',
+          '',
+          '**Agent:** It is sunny & warm in Toronto.',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it('Should export SRT captions timed from audio samples', () => {
+      const srt = RealtimeTranscript.toSRT(createConversation());
+
+      expect(srt).to.equal(
+        [
+          '1',
+          '00:00:00,000 --> 00:00:02,000',
+          'User: What is the weather in Toronto?',
+          '',
+          '2',
+          '00:00:02,000 --> 00:00:05,000',
+          'Assistant: It is sunny & warm in Toronto.',
+          '',
+        ].join('\n'),
+      );
+    });
+
+    it('Should export WebVTT captions and split long items into cues', () => {
+      const vtt = RealtimeTranscript.toWebVTT(createConversation(), {
+        maxCueLength: 16,
+      });
+      const cues = RealtimeTranscript.getCues(createConversation(), {
+        maxCueLength: 16,
+      });
+
+      expect(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> ')).to.equal(true);
+      expect(vtt).to.contain('<v Assistant>It is sunny &amp;');
+      expect(cues.map(({ text }) => text)).to.deep.equal([
+        'What is the',
+        'weather in',
+        'Toronto?',
+        'It is sunny &',
+        'warm in Toronto.',
+      ]);
+      expect(cues[2].end).to.be.closeTo(2000, 1e-9);
+      expect(cues[4].end).to.be.closeTo(5000, 1e-9);
+    });
+  });
+}
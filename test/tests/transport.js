@@ -0,0 +1,296 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import {
+  RealtimeAPI,
+  RealtimeClient,
+  RealtimeMockServer,
+  RealtimeTransport,
+} from '../../index.js';
+
+/**
+ * In-process transport that echoes client events back as server events
+ */
+class LoopbackTransport extends RealtimeTransport {
+  constructor() {
+    super();
+    this.connected = false;
+    this.connectSettings = null;
+    this.sent = [];
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async connect(settings) {
+    this.connectSettings = settings;
+    this.connected = true;
+    return true;
+  }
+
+  disconnect() {
+    this.connected = false;
+    return true;
+  }
+
+  send(eventName, data = {}) {
+    const event = {
+      event_id: `evt_${this.sent.length}`,
+      type: eventName,
+      ...data,
+    };
+    this.sent.push(event);
+    this.dispatch(`client.${eventName}`, event);
+    this.dispatch('client.*', event);
+    if (eventName === 'conversation.item.create') {
+      this.receive({
+        event_id: `evt_server_${this.sent.length}`,
+        type: 'conversation.item.created',
+        item: { id: `item_${this.sent.length}`, ...data.item },
+      });
+    }
+    return true;
+  }
+
+  receive(event) {
+    this.dispatch(`server.${event.type}`, event);
+    this.dispatch('server.*', event);
+  }
+}
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeTransport', () => {
+    it('Should throw for methods that are not implemented', async () => {
+      class EmptyTransport extends RealtimeTransport {}
+      const transport = new EmptyTransport();
+
+      expect(() => transport.isConnected()).to.throw(
+        'EmptyTransport must implement isConnected()',
+      );
+      expect(() => transport.send('response.create')).to.throw(
+        'EmptyTransport must implement send()',
+      );
+      expect(() => transport.disconnect()).to.throw(
+        'EmptyTransport must implement disconnect()',
+      );
+
+      let err;
+      try {
+        await transport.connect();
+      } catch (e) {
+        err = e;
+      }
+
+      expect(err).to.exist;
+      expect(err.message).to.equal('EmptyTransport must implement connect()');
+    });
+
+    it('Should accept a transport instance in RealtimeClient', async () => {
+      const transport = new LoopbackTransport();
+      const client = new RealtimeClient({ transport });
+      client.updateSession({ instructions: 'Loopback' });
+      await client.connect({ ephemeralKey: 'ek_test' });
+
+      expect(client.realtime).to.equal(transport);
+      expect(client.transport).to.equal('custom');
+      expect(client.isConnected()).to.equal(true);
+      expect(transport.connectSettings.ephemeralKey).to.equal('ek_test');
+      expect(transport.connectSettings.sessionConfig.instructions).to.equal(
+        'Loopback',
+      );
+      expect(transport.sent[0].type).to.equal('session.update');
+
+      client.sendUserMessageContent([{ type: 'input_text', text: 'Hello' }]);
+      const items = client.conversation.getItems();
+
+      expect(items.length).to.equal(1);
+      expect(items[0].formatted.text).to.equal('Hello');
+
+      client.disconnect();
+
+      expect(client.isConnected()).to.equal(false);
+    });
+
+    it('Should accept a transport factory in RealtimeClient', () => {
+      let settings;
+      const client = new RealtimeClient({
+        url: 'ws://localhost:1234',
+        transport: (s) => {
+          settings = s;
+          return new LoopbackTransport();
+        },
+      });
+
+      expect(client.realtime).to.be.instanceOf(LoopbackTransport);
+      expect(settings.url).to.equal('ws://localhost:1234');
+    });
+
+    it('Should reject invalid transports', () => {
+      expect(
+        () => new RealtimeClient({ transport: 'carrier-pigeon' }),
+      ).to.throw('Invalid transport');
+      expect(() => new RealtimeClient({ transport: () => ({}) })).to.throw(
+        'Transport factory must return an instance of RealtimeTransport',
+      );
+    });
+  });
+
+  describe('RealtimeTransport (middleware)', () => {
+    let server;
+    let realtime;
+
+    const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+    before(async () => {
+      server = new RealtimeMockServer({ apiKey: 'mock-key', debug });
+      await server.listen();
+    });
+
+    beforeEach(async () => {
+      realtime = new RealtimeAPI({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+    });
+
+    afterEach(() => {
+      realtime.disconnect();
+    });
+
+    after(async () => {
+      await server.close();
+    });
+
+    it('Should modify outgoing events before they are sent', async () => {
+      const client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      client.use({
+        outgoing: (event) => {
+          if (event.type === 'conversation.item.create') {
+            for (const content of event.item.content || []) {
+              if (content.type === 'input_text') {
+                content.text = content.text.replace(/\d{3}-\d{4}/g, '[PHONE]');
+              }
+            }
+          }
+          return event;
+        },
+      });
+      await client.connect();
+      const nextCreated = client.realtime.waitForNext(
+        'server.conversation.item.created',
+        1000,
+      );
+      client.sendUserMessageContent([
+        { type: 'input_text', text: 'Call me at 555-1234' },
+      ]);
+      const { item } = await nextCreated;
+      client.disconnect();
+
+      expect(item.content[0].text).to.equal('Call me at [PHONE]');
+    });
+
+    it('Should drop and inject incoming events', async () => {
+      realtime.use({
+        incoming: (event) => {
+          if (event.type === 'session.created') {
+            return null;
+          } else if (event.type === 'session.updated') {
+            return [event, { type: 'custom.session.ready' }];
+          }
+        },
+      });
+      const received = [];
+      realtime.on('server.*', (event) => received.push(event.type));
+      const nextReady = realtime.waitForNext(
+        'server.custom.session.ready',
+        1000,
+      );
+      await realtime.connect();
+      realtime.send('session.update', { session: { voice: 'alloy' } });
+      await nextReady;
+
+      expect(received).to.deep.equal([
+        'session.updated',
+        'custom.session.ready',
+      ]);
+    });
+
+    it('Should keep events in order when middleware is async', async () => {
+      const received = [];
+      realtime.use({
+        incoming: async (event) => {
+          if (event.type === 'session.created') {
+            await sleep(50);
+          }
+          return event;
+        },
+      });
+      realtime.on('server.*', (event) => received.push(event.type));
+      const sent = [];
+      realtime.on('client.*', (event) => sent.push(event.event_id));
+      const nextUpdated = realtime.waitForNext('server.session.updated', 1000);
+      await realtime.connect();
+      const removeDelay = realtime.use({
+        outgoing: (event) => sleep(event.type === 'session.update' ? 50 : 0),
+      });
+      realtime.send('session.update', { session: {}, event_id: 'evt_1' });
+      realtime.send('input_audio_buffer.clear', { event_id: 'evt_2' });
+
+      expect(sent).to.deep.equal([]);
+
+      await nextUpdated;
+      await sleep(10);
+
+      expect(sent).to.deep.equal(['evt_1', 'evt_2']);
+      expect(received[0]).to.equal('session.created');
+      expect(received).to.include('session.updated');
+
+      removeDelay();
+      realtime.send('input_audio_buffer.clear', { event_id: 'evt_3' });
+      await sleep(10);
+
+      expect(sent).to.deep.equal(['evt_1', 'evt_2', 'evt_3']);
+    });
+
+    it('Should dispatch "middleware.error" and drop the event on errors', async () => {
+      const client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      const errors = [];
+      client.on('middleware.error', (event) => errors.push(event));
+      client.use((event, { direction }) => {
+        if (direction === 'outgoing' && event.type === 'response.create') {
+          throw new Error('Responses are not allowed');
+        }
+      });
+      const sent = [];
+      client.realtime.on('client.*', (event) => sent.push(event.type));
+      await client.connect();
+      client.createResponse();
+      client.realtime.send('input_audio_buffer.clear');
+      await sleep(10);
+      client.disconnect();
+
+      expect(errors.length).to.equal(1);
+      expect(errors[0].direction).to.equal('outgoing');
+      expect(errors[0].event.type).to.equal('response.create');
+      expect(errors[0].error.message).to.equal('Responses are not allowed');
+      expect(sent).to.include('input_audio_buffer.clear');
+      expect(sent).to.not.include('response.create');
+    });
+
+    it('Should reject invalid middleware', () => {
+      expect(() => realtime.use({})).to.throw(
+        'Middleware must be a function or have "incoming" or "outgoing" functions',
+      );
+    });
+  });
+}
@@ -0,0 +1,165 @@
+import * as chai from 'chai';
+const expect = chai.expect;
+
+import {
+  RealtimeClient,
+  RealtimeConversation,
+  RealtimeMockServer,
+  RealtimeUsage,
+} from '../../index.js';
+
+export async function run({ debug = false } = {}) {
+  describe('RealtimeUsage', () => {
+    const usage = {
+      total_tokens: 1300,
+      input_tokens: 1000,
+      output_tokens: 300,
+      input_token_details: {
+        cached_tokens: 400,
+        text_tokens: 600,
+        audio_tokens: 400,
+        cached_tokens_details: { text_tokens: 300, audio_tokens: 100 },
+      },
+      output_token_details: { text_tokens: 100, audio_tokens: 200 },
+    };
+
+    it('Should finalize responses from "response.done"', () => {
+      const conversation = new RealtimeConversation();
+      const response = {
+        id: 'resp_1',
+        object: 'realtime.response',
+        status: 'in_progress',
+        status_details: null,
+        output: [],
+        usage: null,
+      };
+      conversation.processEvent({
+        event_id: 'evt_1',
+        type: 'response.created',
+        response,
+      });
+      conversation.processEvent({
+        event_id: 'evt_2',
+        type: 'response.done',
+        response: {
+          ...response,
+          status: 'incomplete',
+          status_details: { type: 'incomplete', reason: 'max_output_tokens' },
+          output: [{ id: 'item_1', type: 'message' }],
+          usage,
+        },
+      });
+      const [finalResponse] = conversation.responses;
+
+      expect(conversation.responses.length).to.equal(1);
+      expect(finalResponse.status).to.equal('incomplete');
+      expect(finalResponse.status_details.reason).to.equal('max_output_tokens');
+      expect(finalResponse.output).to.deep.equal(['item_1']);
+      expect(finalResponse.usage.total_tokens).to.equal(1300);
+    });
+
+    it('Should accumulate usage and estimate costs', () => {
+      const tracker = new RealtimeUsage({
+        model: 'gpt-4o-realtime-preview-2024-12-17',
+      });
+      const record = tracker.record({
+        id: 'resp_1',
+        metadata: { caller: 'support' },
+        usage,
+      });
+      tracker.record({ id: 'resp_2', usage });
+
+      expect(record.metadata).to.deep.equal({ caller: 'support' });
+      expect(record.cost.input).to.be.closeTo(
+        (300 * 5 + 300 * 40) / 1_000_000,
+        1e-12,
+      );
+      expect(record.cost.cached_input).to.be.closeTo(
+        (300 * 2.5 + 100 * 2.5) / 1_000_000,
+        1e-12,
+      );
+      expect(record.cost.output).to.be.closeTo(
+        (100 * 20 + 200 * 80) / 1_000_000,
+        1e-12,
+      );
+      expect(tracker.records.length).to.equal(2);
+      expect(tracker.usage.total_tokens).to.equal(2600);
+      expect(
+        tracker.usage.input_token_details.cached_tokens_details.audio_tokens,
+      ).to.equal(200);
+      expect(tracker.usage.output_token_details.audio_tokens).to.equal(400);
+      expect(tracker.cost.total).to.be.closeTo(record.cost.total * 2, 1e-12);
+    });
+
+    it('Should keep only the last "maxRecords" records', () => {
+      const tracker = new RealtimeUsage({ maxRecords: 2 });
+      for (const id of ['resp_1', 'resp_2', 'resp_3']) {
+        tracker.record({ id, usage });
+      }
+
+      expect(
+        tracker.records.map(({ response_id }) => response_id),
+      ).to.deep.equal(['resp_2', 'resp_3']);
+      expect(tracker.usage.total_tokens).to.equal(3900);
+    });
+
+    it('Should use custom prices and skip costs for unknown models', () => {
+      const tracker = new RealtimeUsage({
+        model: 'my-model',
+        prices: {
+          'my-model': {
+            text: { input: 1, cached_input: 1, output: 1 },
+            audio: { input: 1, cached_input: 1, output: 1 },
+          },
+        },
+      });
+      const { cost } = tracker.record({ id: 'resp_1', usage });
+
+      expect(cost.total).to.be.closeTo(1300 / 1_000_000, 1e-12);
+      expect(tracker.getCost(tracker.usage, 'unknown-model')).to.equal(null);
+      expect(RealtimeUsage.normalizeUsage(null).total_tokens).to.equal(0);
+    });
+
+    it('Should dispatch "usage.updated" from RealtimeClient', async () => {
+      const server = new RealtimeMockServer({ apiKey: 'mock-key', debug });
+      await server.listen();
+      const client = new RealtimeClient({
+        url: server.url,
+        apiKey: 'mock-key',
+        debug,
+      });
+      try {
+        const updates = [];
+        client.on('usage.updated', (event) => updates.push(event));
+        client.updateSession({ modalities: ['text'] });
+        await client.connect();
+        await client.waitForSessionCreated();
+        for (const text of ['First', 'Second']) {
+          server.queueResponse({ text });
+          const nextUpdate = client.waitForNext('usage.updated', 1000);
+          client.createResponse();
+          await nextUpdate;
+        }
+        const [first, second] = updates;
+
+        expect(client.usage.model).to.equal(
+          'gpt-4o-realtime-preview-2024-10-01',
+        );
+        expect(first.response.status).to.equal('completed');
+        expect(first.usage.output_tokens).to.be.greaterThan(0);
+        expect(first.cost.total).to.be.greaterThan(0);
+        expect(second.total.usage.output_tokens).to.equal(
+          first.usage.output_tokens + second.usage.output_tokens,
+        );
+        expect(second.total.cost.total).to.be.closeTo(
+          first.cost.total + second.cost.total,
+          1e-12,
+        );
+        expect(client.conversation.responses.length).to.equal(2);
+      } finally {
+        client.disconnect();
+        await server.close();
+      }
+    });
+  });
+}
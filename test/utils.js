@@ -0,0 +1,35 @@
+let eventCount = 0;
+
+/**
+ * Creates a server event with a unique event_id
+ */
+export function createEvent(type, data = {}) {
+  return { event_id: `evt_${eventCount++}`, type, ...data };
+}
+
+/**
+ * Creates a server event and processes it, returning the conversation's result
+ */
+export function processEvent(conversation, type, data, ...args) {
+  return conversation.processEvent(createEvent(type, data), ...args);
+}
+
+/**
+ * Adds an item to a conversation, with optional audio
+ * User audio is queued before the item is created, like input audio,
+ * other items get it set on `formatted.audio` afterwards
+ */
+export function createItem(conversation, item, audio = null) {
+  if (audio && item.role === 'user') {
+    conversation.queueInputAudio(audio);
+  }
+  const { item: newItem } = processEvent(
+    conversation,
+    'conversation.item.created',
+    { item },
+  );
+  if (audio && item.role !== 'user') {
+    newItem.formatted.audio = audio;
+  }
+  return newItem;
+}